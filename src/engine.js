@@ -0,0 +1,2595 @@
+/**
+ * FREEDOM SIM - ENGINE
+ *
+ * Motor de simulación puro (sin DOM, sin globals). Se puede usar desde la UI,
+ * desde tests, workers o Node:
+ *
+ *     import { normalizeState, simulate } from './engine.js';
+ *     const result = simulate(normalizeState(data));
+ *
+ * Cambio central:
+ * - Cada tarjeta tiene:
+ *   - monthlyMin: pago mínimo mensual REAL (estado de cuenta).
+ *   - dueDay: día de vencimiento (1–31).
+ *   - cutoffDay: día de corte (1–31, opcional).
+ *
+ * Modelo de mínimos:
+ * - Para cada tarjeta generamos una secuencia de "obligaciones" mensuales:
+ *   { dueDate, amountRemaining, monthlyMin, banxicoBaseMin }
+ * - La primera obligación se coloca en el "próximo vencimiento" >= fecha inicio.
+ * - Cuando se sobrepasa un dueDate y todavía hay saldo en la tarjeta, se crea
+ *   la obligación del siguiente ciclo (mismo día en el mes siguiente).
+ * - En cada periodo de pago (quincena por defecto, ver PAY_FREQUENCIES):
+ *   - Calculamos intereses del periodo (tasa anual / periodos por año) + IVA.
+ *   - Pagamos mínimos primero:
+ *       * Siempre contra las obligaciones con dueDate más cercano (ordenado).
+ *       * Podemos adelantar obligaciones futuras, pero el desglose distingue
+ *         entre lo que YA debería estar cubierto vs lo que es anticipo.
+ *   - El excedente se aplica según la estrategia (snowball, avalanche, etc.).
+ *
+ * Seguridad:
+ * - El "mínimo mensual" usado por el simulador es:
+ *       max( monthlyMin_real, aproximación_Banxico_mensual )
+ *   con una aproximación mensual de Banxico:
+ *       baseMin = max(1.5% saldo + intereses_mes + IVA, 1.25% límite)
+ *       y acotado a saldo + intereses.
+ *
+ * - Esto garantiza que:
+ *   * Nunca se subestima el pago mínimo (caso Didi: 1671).
+ *   * El sim no sugiere planes que paguen menos de lo que exige el banco.
+ *
+ * Meses sin intereses (MSI):
+ * - debt.installments = [{ id, name, total, months, startDate }].
+ * - debt.balance es el saldo revolvente (sin MSI); al simular, lo pendiente de
+ *   MSI se suma al saldo pero NO genera intereses.
+ * - Cada obligación mensual = mínimo revolvente + mensualidades MSI que vencen
+ *   en ese dueDate (total / months). El pago cubre primero la parte MSI.
+ * - El excedente de la estrategia sólo ataca la parte revolvente.
+ *
+ * Créditos a plazo fijo (debt.kind === 'loan'):
+ * - Préstamos personales, auto, nómina: pago fijo mensual con amortización
+ *   francesa (termMonths = plazo restante; loanPayment opcional, si no se
+ *   captura se calcula con saldo, tasa + IVA y plazo).
+ * - La obligación mensual es el pago fijo (sin fórmula Banxico).
+ * - El excedente de la estrategia funciona como prepago:
+ *     * 'reduceTerm': se mantiene el pago y se acorta el plazo.
+ *     * 'reducePayment': se recalcula el pago con el plazo restante.
+ *
+ * Tasas variables y promociones:
+ * - debt.rate es la tasa base; debt.rateSchedule = [{ from, rate }] cambia la
+ *   tasa a partir de cada fecha (aumentos, tasa variable).
+ * - debt.promoEndDate + debt.promoRate (default 0%): hasta esa fecha aplica la
+ *   tasa promocional (ej. transferencia de saldo a 0%).
+ * - Cada periodo usa la tasa vigente a su fecha (getRateAt), tanto para el
+ *   interés como para la aproximación Banxico y el orden de avalancha.
+ *
+ * Fecha de corte y saldo promedio diario (tarjetas con cutoffDay):
+ * - Las obligaciones ya no se generan al pasar el dueDate sino en cada corte,
+ *   a partir del saldo al corte (estado de cuenta), con vencimiento en el
+ *   siguiente dueDay después del corte.
+ * - interestMode 'dailyBalance': en lugar de tasa / periodos por año en cada
+ *   periodo, se acumula saldo × días entre cortes y en cada corte se cobra
+ *   saldo promedio diario × tasa anual / 360 × días del ciclo (+ IVA). Los
+ *   pagos cuentan desde el día en que caen (fin de cada periodo de pago).
+ *
+ * Compras nuevas con tarjeta (opcional, por tarjeta):
+ * - debt.periodSpend: compras que se siguen haciendo cada periodo de pago
+ *   (súper, gasolina). Se suman al saldo después de los intereses y de generar
+ *   las obligaciones del periodo: entran al mínimo del siguiente estado de
+ *   cuenta y generan interés desde el siguiente periodo.
+ * - debt.spendPaidInFull: se pagan completas antes del corte (totalero): se
+ *   liquidan del flujo justo después de los mínimos y no generan intereses; lo
+ *   que no alcance a pagarse queda como saldo revolvente. Ese pago va aparte
+ *   de los mínimos (purchasesPaid en el periodo y en el historial).
+ *
+ * Penalizaciones por atraso (opcional, por deuda):
+ * - Si al cierre de un periodo una obligación con dueDate <= fin del periodo
+ *   sigue sin cubrirse:
+ *     * lateFee (+ IVA) se carga una sola vez por obligación.
+ *     * moratoriumRate (anual, + IVA) genera interés moratorio sobre lo vencido
+ *       en cada periodo mientras siga pendiente.
+ *     * penaltyRate (anual) sustituye a la tasa normal desde el primer atraso
+ *       hasta que la deuda se regulariza: nada vencido pendiente y un
+ *       vencimiento posterior cubierto completo y a tiempo.
+ * - Todo se suma al saldo, a totalInterestPaid y a totalPenalties.
+ *
+ * Pagos reales (state.ledger, opcional):
+ * - state.ledger = [{ id, date, debtId, type, amount, note }] con
+ *   type 'payment' (abono real a la deuda) o 'statement' (saldo sin MSI según
+ *   el estado de cuenta).
+ * - simulate(state, { ledger }) reproduce la realidad: en los periodos que
+ *   llegan hasta el último registro, los pagos reales sustituyen a mínimos y
+ *   estrategia (primero cubren obligaciones, el resto es abono extra) y cada
+ *   estado de cuenta reemplaza el saldo. Después se proyecta normal.
+ * - comparePlanVsActual compara ese recorrido contra el plan periodo a periodo.
+ *
+ * Excedente: deuda vs metas (state.surplusPolicy):
+ * - 'debtFirst' (default): las metas reciben dinero sólo sin deuda.
+ * - 'goalsFirst': antes de la estrategia se ahorra (por prioridad) hasta que
+ *   lo ahorrado en todas las metas llega a surplusGoalFloor (fondo de
+ *   emergencia); después, todo a deuda.
+ * - 'split': surplusGoalPct % del excedente a metas y el resto a deuda.
+ * - 'perGoal': las metas con fundBeforeDebt se llenan antes que la deuda.
+ * - Siempre después de mínimos; al liquidar deudas todo el excedente va a metas.
+ *
+ * Rendimientos de metas (CETES, cuentas de ahorro):
+ * - goal.annualYield (% anual) capitaliza cada periodo sobre lo ahorrado
+ *   (tasa / periodos por año), antes de los aportes del periodo.
+ * - goal.yieldWithholding (% anual sobre el saldo, como la retención de ISR
+ *   sobre el capital) se descuenta del rendimiento.
+ * - Lo ganado cuenta para llegar al objetivo; goalHistories lo separa de los
+ *   aportes (contribution vs earnings).
+ *
+ * Aumentos de sueldo e inflación:
+ * - state.annualRaisePct se aplica cada año el día 1 de state.raiseMonth
+ *   (posterior a startDate) al sueldo bruto.
+ * - state.expenseInflationPct se aplica en cada aniversario de startDate a
+ *   gastos fijos y discrecional.
+ * - Las deducciones (créditos de nómina, pensiones) son fijas por default; con
+ *   growthPct crecen ese % en las mismas fechas que el sueldo.
+ * - Un gasto fijo puede fijar su propio growthPct; null = la inflación del
+ *   perfil.
+ *
+ * Vigencia de deducciones y gastos fijos (opcional, por concepto):
+ * - startDate / endDate: el concepto cuenta en los periodos que se traslapan
+ *   con [startDate, endDate].
+ * - remainingPayments: número de periodos con cargo, contando desde el primer
+ *   periodo del plan en que aplica: startDate si es futura o, si ya pasó (o no
+ *   hay), el inicio del plan. P. ej. un préstamo de nómina al que le quedan 8
+ *   descuentos.
+ * - Los periodos de cada concepto se calculan una vez por simulación
+ *   (getItemPeriods), no en cada periodo.
+ * - Al terminar, ese dinero queda libre y entra a la estrategia.
+ *
+ * Deudas en moneda extranjera (debt.currency = 'USD' | 'EUR'):
+ * - Los montos de la deuda (saldo, mínimo, límite, compras, comisión, pago
+ *   del crédito, MSI) se capturan en su moneda; state.fxRates[moneda] da el
+ *   tipo de cambio inicial y su deriva anual (%).
+ * - El motor trabaja en pesos: al inicio convierte cada deuda y en cada
+ *   periodo revalúa sus montos con el tipo de cambio vigente (getFxRate). La
+ *   diferencia cambiaria queda en fxAdjustment y los pagos (en pesos) se
+ *   convierten al tipo del periodo.
+ * - Los estados de cuenta del ledger vienen en la moneda de la deuda; los
+ *   pagos, en pesos.
+ *
+ * Per-card schedule:
+ * - cardHistories[debt.id] almacena por periodo:
+ *   { date, dateLabel, startingBalance, interest, iva, purchases, purchasesPaid, minPaid, msiPaid, extraPaid, penalty, adjustment, fxAdjustment, fxRate, endingBalance }
+ * - Se usa para mostrar progreso y calendario de pagos al abrir la tarjeta.
+ */
+
+// Horizonte máximo de la simulación (5 años; 120 quincenas)
+export const MAX_YEARS = 5;
+
+// Frecuencias de pago -> periodos por año. Define el calendario de periodos
+// y el devengo de intereses (tasa anual / periodos por año). Los mínimos
+// siguen ligados al dueDay de cada tarjeta.
+export const PAY_FREQUENCIES = {
+  weekly: 52, // semanal
+  biweekly: 26, // catorcenal (cada 14 días)
+  quincenal: 24, // 15 y fin de mes
+  monthly: 12 // mensual (mismo día de la fecha de inicio)
+};
+
+// Estrategias soportadas (mismo orden que el select de la UI)
+export const STRATEGIES = [
+  'snowball',
+  'avalanche',
+  'highMin',
+  'reverseSnowball',
+  'flat',
+  'custom'
+];
+
+// Monedas de deuda; el plan (ingresos, gastos, pagos) siempre es en pesos
+export const CURRENCIES = ['MXN', 'USD', 'EUR'];
+
+// Tipo de cambio inicial por default (se ajusta por perfil en state.fxRates)
+const DEFAULT_FX_RATES = { USD: 18.5, EUR: 20 };
+
+export const deepClone = (obj) => JSON.parse(JSON.stringify(obj));
+
+// --- DATE HELPERS (safe for YYYY-MM-DD strings) ---
+export function parseYMD(str) {
+  if (!str) return null;
+  const [y, m, d] = str.split('-').map(Number);
+  if (!y || !m || !d) return null;
+  return { year: y, month: m, day: d };
+}
+
+export function compareYMD(aStr, bStr) {
+  const a = parseYMD(aStr);
+  const b = parseYMD(bStr);
+  if (!a || !b) return 0;
+  if (a.year !== b.year) return a.year - b.year;
+  if (a.month !== b.month) return a.month - b.month;
+  return a.day - b.day;
+}
+
+export function dateFromYMD(str) {
+  const p = parseYMD(str);
+  if (!p) return new Date();
+  return new Date(p.year, p.month - 1, p.day);
+}
+
+export function formatDateShort(dateObj) {
+  if (typeof dateObj === 'string') {
+    dateObj = dateFromYMD(dateObj);
+  }
+  return dateObj.toLocaleDateString('es-MX', {
+    day: 'numeric',
+    month: 'short',
+    year: '2-digit'
+  });
+}
+
+// YearMonth key, e.g. 202512 (se deja por compatibilidad, aunque ya no se usa mucho)
+export function getYearMonthKey(dateObj) {
+  const y = dateObj.getFullYear();
+  const m = dateObj.getMonth() + 1;
+  return y * 100 + m;
+}
+
+// Fin del siguiente periodo de pago según la frecuencia.
+// anchorDate = fecha de inicio (para la frecuencia mensual).
+export function getNextPeriodEnd(date, payFrequency, anchorDate) {
+  const y = date.getFullYear();
+  const m = date.getMonth();
+  const d = date.getDate();
+
+  switch (payFrequency) {
+    case 'weekly':
+      return new Date(y, m, d + 7);
+    case 'biweekly':
+      return new Date(y, m, d + 14);
+    case 'monthly':
+      return makeDueDate(y, m + 1, (anchorDate || date).getDate());
+    default:
+      // Quincenal: 15 -> fin de mes -> 15 del siguiente mes
+      return d <= 15 ? new Date(y, m + 1, 0) : new Date(y, m + 1, 15);
+  }
+}
+
+// Número máximo de periodos para cubrir MAX_YEARS con una frecuencia
+export function getMaxPeriods(payFrequency) {
+  return MAX_YEARS * (PAY_FREQUENCIES[payFrequency] || 24);
+}
+
+// Crear fecha (año, mesIndex 0-based, día deseado, acotando al último día del mes)
+function makeDueDate(year, monthIndex0, dueDay) {
+  const lastDay = new Date(year, monthIndex0 + 1, 0).getDate();
+  const d = Math.min(dueDay, lastDay);
+  return new Date(year, monthIndex0, d);
+}
+
+// Día de vencimiento por defecto si el usuario no captura uno
+function getDueDayOrDefault(debt) {
+  const raw = parseInt(debt.dueDay, 10);
+  if (!isNaN(raw) && raw > 0) return Math.min(raw, 31);
+  // Por defecto usar algo razonable (25)
+  return 25;
+}
+
+// Último corte <= fecha dada
+function getLastCutoff(cutoffDay, date) {
+  const candidate = makeDueDate(date.getFullYear(), date.getMonth(), cutoffDay);
+  if (candidate <= date) return candidate;
+  return makeDueDate(date.getFullYear(), date.getMonth() - 1, cutoffDay);
+}
+
+// Cortes en el rango (after, until]
+function getCutoffsBetween(cutoffDay, after, until) {
+  const cutoffs = [];
+  let y = after.getFullYear();
+  let m = after.getMonth();
+  let cutoff = makeDueDate(y, m, cutoffDay);
+  while (cutoff <= until) {
+    if (cutoff > after) cutoffs.push(cutoff);
+    m++;
+    cutoff = makeDueDate(y, m, cutoffDay);
+  }
+  return cutoffs;
+}
+
+// Vencimiento del estado de cuenta que se genera en un corte
+function getDueDateForCutoff(debt, cutoff) {
+  const dueDay = getDueDayOrDefault(debt);
+  const sameMonth = makeDueDate(cutoff.getFullYear(), cutoff.getMonth(), dueDay);
+  return sameMonth > cutoff
+    ? sameMonth
+    : makeDueDate(cutoff.getFullYear(), cutoff.getMonth() + 1, dueDay);
+}
+
+function daysBetween(a, b) {
+  return Math.round((b - a) / 86400000);
+}
+
+// Primer dueDate >= fecha de inicio
+function getFirstDueDate(simStartDate, debt) {
+  const dueDay = getDueDayOrDefault(debt);
+  const y0 = simStartDate.getFullYear();
+  const m0 = simStartDate.getMonth();
+
+  let candidate = makeDueDate(y0, m0, dueDay);
+  if (candidate >= simStartDate) return candidate;
+
+  let y = y0;
+  let m = m0 + 1;
+  if (m > 11) {
+    m = 0;
+    y++;
+  }
+  return makeDueDate(y, m, dueDay);
+}
+
+// --- EVENTOS RECURRENTES ---
+// Frecuencias soportadas: 'once' (fecha única), 'days' (cada N días),
+// 'quincena' (dos veces al mes, ej. 10 y 25 o 15 y fin de mes), 'monthly' y
+// 'yearly'.
+// interval = cada cuántas unidades; endDate (inclusive) y count (número de
+// ocurrencias) son límites opcionales.
+export const EVENT_FREQUENCIES = [
+  'once',
+  'days',
+  'quincena',
+  'monthly',
+  'yearly'
+];
+
+// Fecha de la ocurrencia k (0-based) de un evento
+function getOccurrenceDate(ev, k) {
+  const start = dateFromYMD(ev.date);
+  const interval = Math.max(1, parseInt(ev.interval, 10) || 1);
+  const y = start.getFullYear();
+  const m = start.getMonth();
+  const day = start.getDate();
+
+  switch (ev.frequency) {
+    case 'days':
+      return new Date(y, m, day + k * interval);
+    case 'quincena': {
+      // Día ancla de la primera mitad del mes (1–15) y el de la segunda
+      // (ancla + 15). Un inicio en la segunda mitad (16–31) se ajusta al
+      // calendario de quincenas 15 / fin de mes; makeDueDate recorta el 31 al
+      // último día de cada mes.
+      const startHalf = day > 15 ? 1 : 0;
+      const anchorDay = Math.min(day, 15);
+      const secondDay = anchorDay === 15 ? 31 : anchorDay + 15;
+      const j = k * interval + startHalf;
+      const monthOffset = Math.floor(j / 2);
+      return makeDueDate(
+        y,
+        m + monthOffset,
+        j % 2 === 0 ? anchorDay : secondDay
+      );
+    }
+    case 'monthly':
+      return makeDueDate(y, m + k * interval, day);
+    case 'yearly':
+      return makeDueDate(y, m + k * interval * 12, day);
+    default:
+      return k === 0 ? start : null;
+  }
+}
+
+// Todas las ocurrencias de un evento con fecha <= untilDate
+export function getEventOccurrences(ev, untilDate) {
+  if (!ev.date || !parseYMD(ev.date)) return [];
+  const endDate = ev.endDate ? dateFromYMD(ev.endDate) : null;
+  const maxCount = ev.count > 0 ? ev.count : Infinity;
+
+  const dates = [];
+  for (let k = 0; k < maxCount && k < 2000; k++) {
+    const d = getOccurrenceDate(ev, k);
+    if (!d || d > untilDate || (endDate && d > endDate)) break;
+    dates.push(d);
+  }
+  return dates;
+}
+
+// Siguiente ocurrencia >= fromDate (o null si ya no hay)
+export function getNextOccurrence(ev, fromDate) {
+  if (!ev.date || !parseYMD(ev.date)) return null;
+  const endDate = ev.endDate ? dateFromYMD(ev.endDate) : null;
+  const maxCount = ev.count > 0 ? ev.count : Infinity;
+
+  for (let k = 0; k < maxCount && k < 2000; k++) {
+    const d = getOccurrenceDate(ev, k);
+    if (!d || (endDate && d > endDate)) return null;
+    if (d >= fromDate) return d;
+  }
+  return null;
+}
+
+// --- MESES SIN INTERESES (MSI) ---
+function monthsBetween(a, b) {
+  return (
+    (b.getFullYear() - a.getFullYear()) * 12 + (b.getMonth() - a.getMonth())
+  );
+}
+
+// Suma de mensualidades MSI de una tarjeta que vencen en dueDate
+export function getInstallmentDue(debt, dueDate) {
+  return (debt.installments || []).reduce((sum, plan) => {
+    if (!plan.total || !plan.months) return sum;
+    const first = getFirstDueDate(dateFromYMD(plan.startDate), debt);
+    const idx = monthsBetween(first, dueDate);
+    return idx >= 0 && idx < plan.months ? sum + plan.total / plan.months : sum;
+  }, 0);
+}
+
+// Saldo MSI pendiente al iniciar en fromDate (mensualidades aún no facturadas)
+export function getInstallmentOutstanding(debt, fromDate) {
+  const firstDue = getFirstDueDate(fromDate, debt);
+  return (debt.installments || []).reduce((sum, plan) => {
+    if (!plan.total || !plan.months) return sum;
+    const first = getFirstDueDate(dateFromYMD(plan.startDate), debt);
+    const billed = Math.min(
+      plan.months,
+      Math.max(0, monthsBetween(first, firstDue))
+    );
+    return sum + (plan.months - billed) * (plan.total / plan.months);
+  }, 0);
+}
+
+// --- TASAS VARIABLES / PROMOCIONES ---
+// Tasa anual vigente de una deuda en una fecha: la del cambio más reciente
+// ya ocurrido (rateSchedule puede venir sin ordenar desde el modal)
+export function getRateAt(debt, date) {
+  if (debt.promoEndDate && date <= dateFromYMD(debt.promoEndDate)) {
+    return debt.promoRate || 0;
+  }
+  let rate = debt.rate || 0;
+  let latest = null;
+  (debt.rateSchedule || []).forEach((seg) => {
+    if (!seg.from) return;
+    const from = dateFromYMD(seg.from);
+    if (from <= date && (!latest || from >= latest)) {
+      latest = from;
+      rate = seg.rate;
+    }
+  });
+  return rate;
+}
+
+// Línea de tiempo de tasas desde fromDate: [{ from, rate, isPromo }]
+// (sólo los puntos donde la tasa cambia)
+export function getRateTimeline(debt, fromDate) {
+  const points = [fromDate];
+  if (debt.promoEndDate) {
+    const promoEnd = dateFromYMD(debt.promoEndDate);
+    points.push(
+      new Date(
+        promoEnd.getFullYear(),
+        promoEnd.getMonth(),
+        promoEnd.getDate() + 1
+      )
+    );
+  }
+  (debt.rateSchedule || []).forEach((seg) => {
+    if (seg.from) points.push(dateFromYMD(seg.from));
+  });
+
+  const timeline = [];
+  points
+    .filter((d) => d >= fromDate)
+    .sort((a, b) => a - b)
+    .forEach((date) => {
+      const rate = getRateAt(debt, date);
+      const last = timeline[timeline.length - 1];
+      if (last && last.rate === rate) return;
+      timeline.push({
+        from: date,
+        rate,
+        isPromo:
+          !!debt.promoEndDate && date <= dateFromYMD(debt.promoEndDate)
+      });
+    });
+  return timeline;
+}
+
+// --- CRÉDITOS A PLAZO FIJO ---
+// Pago mensual de amortización francesa (interés mensual + IVA)
+export function computeLoanPayment(balance, annualRate, months) {
+  if (!balance || balance <= 0 || !months || months <= 0) return 0;
+  const i = ((annualRate || 0) / 100 / 12) * 1.16;
+  if (i <= 0) return balance / months;
+  return (balance * i) / (1 - Math.pow(1 + i, -months));
+}
+
+// Pago programado de una deuda: pago fijo si es crédito, mínimo si es tarjeta
+export function getScheduledPayment(debt) {
+  if (debt.kind === 'loan') {
+    return (
+      debt.loanPayment ||
+      computeLoanPayment(debt.balance, debt.rate, debt.termMonths)
+    );
+  }
+  return parseFloat(debt.monthlyMin) || 0;
+}
+
+// Aproximación de componentes Banxico para un MES (referencial)
+export function computeBanxicoMonthlyComponents(
+  prevBalance,
+  annualRate,
+  creditLimit
+) {
+  if (!prevBalance || prevBalance <= 0 || !annualRate || annualRate <= 0) {
+    return {
+      prevBalance: prevBalance || 0,
+      monthlyInterest: 0,
+      monthlyIVA: 0,
+      base1p5: 0,
+      optionA: 0,
+      optionB: 0,
+      baseMin: 0
+    };
+  }
+
+  const monthlyInterest = (prevBalance * (annualRate / 100)) / 12;
+  const monthlyIVA = monthlyInterest * 0.16;
+  const base1p5 = 0.015 * prevBalance;
+  const optionA = base1p5 + monthlyInterest + monthlyIVA;
+
+  let optionB = 0;
+  if (creditLimit && creditLimit > 0) {
+    optionB = 0.0125 * creditLimit;
+  }
+
+  let baseMin = Math.max(optionA, optionB);
+  const maxPossible = prevBalance + monthlyInterest + monthlyIVA;
+  if (baseMin > maxPossible) baseMin = maxPossible;
+
+  return {
+    prevBalance,
+    monthlyInterest,
+    monthlyIVA,
+    base1p5,
+    optionA,
+    optionB,
+    baseMin
+  };
+}
+
+// --- AUMENTOS E INFLACIÓN ---
+// Aumentos de sueldo ocurridos en (startDate, date]: día 1 de raiseMonth
+function countRaises(state, start, date) {
+  let count = 0;
+  for (let y = start.getFullYear(); y <= date.getFullYear(); y++) {
+    const raiseDate = new Date(y, (state.raiseMonth || 1) - 1, 1);
+    if (raiseDate > start && raiseDate <= date) count++;
+  }
+  return count;
+}
+
+// Aniversarios de startDate cumplidos a date
+function countAnniversaries(start, date) {
+  let months = monthsBetween(start, date);
+  if (date.getDate() < start.getDate()) months--;
+  return Math.max(0, Math.floor(months / 12));
+}
+
+function grow(amount, pct, steps) {
+  return steps > 0 && pct ? amount * Math.pow(1 + pct / 100, steps) : amount;
+}
+
+// ¿La deducción / gasto se traslapa por fechas con (periodFrom, periodEnd]?
+function overlapsPeriod(item, periodFrom, periodEnd) {
+  if (item.startDate && dateFromYMD(item.startDate) > periodEnd) return false;
+  if (item.endDate && dateFromYMD(item.endDate) <= periodFrom) return false;
+  return true;
+}
+
+// Periodos del plan (desde 1) en que cuenta cada deducción / gasto fijo:
+// Map item -> { firstPeriod, lastPeriod }. firstPeriod null = no aplica en el
+// horizonte; lastPeriod null = sigue al final del horizonte. Recorre el
+// calendario una sola vez para todos los conceptos.
+function getItemPeriods(
+  state,
+  maxPeriods,
+  items = [...state.deductions, ...state.fixedExpenses]
+) {
+  const start = dateFromYMD(state.startDate);
+  const ranges = new Map(
+    items.map((item) => [item, { firstPeriod: null, lastPeriod: null }])
+  );
+  let periodFrom = new Date(
+    start.getFullYear(),
+    start.getMonth(),
+    start.getDate() - 1
+  );
+  let periodEnd = new Date(start);
+
+  for (let i = 1; i <= maxPeriods; i++) {
+    items.forEach((item) => {
+      const range = ranges.get(item);
+      const active = overlapsPeriod(item, periodFrom, periodEnd);
+      if (active && range.firstPeriod === null) range.firstPeriod = i;
+      // Las fechas dan un tramo continuo: termina en el primer periodo sin él
+      if (!active && range.firstPeriod !== null && range.lastPeriod === null)
+        range.lastPeriod = i - 1;
+    });
+    periodFrom = periodEnd;
+    periodEnd = getNextPeriodEnd(periodEnd, state.payFrequency, start);
+  }
+
+  // Pagos restantes: desde el primer periodo del plan en que aplica (los
+  // cargos anteriores al inicio del plan ya no son "restantes")
+  items.forEach((item) => {
+    const range = ranges.get(item);
+    const remaining = item.remainingPayments;
+    if (
+      range.firstPeriod === null ||
+      remaining === null ||
+      remaining === undefined
+    )
+      return;
+    if (remaining <= 0) {
+      range.firstPeriod = null;
+      range.lastPeriod = null;
+      return;
+    }
+    const last = range.firstPeriod + remaining - 1;
+    if (last < maxPeriods || range.lastPeriod !== null)
+      range.lastPeriod = Math.min(range.lastPeriod ?? last, last);
+  });
+
+  return ranges;
+}
+
+function isItemActive(range, periodIndex) {
+  return (
+    !!range &&
+    range.firstPeriod !== null &&
+    periodIndex >= range.firstPeriod &&
+    (range.lastPeriod === null || periodIndex <= range.lastPeriod)
+  );
+}
+
+/**
+ * Flujo base de un periodo (sin eventos) con aumentos, inflación y vigencia
+ * de cada concepto aplicados:
+ *   { net, fixed, discretionary }
+ *
+ * periodIndex (1 = primer periodo) sólo importa para conceptos con vigencia.
+ * simulate pasa itemPeriods (getItemPeriods) ya calculado; sin él se calcula
+ * hasta periodIndex.
+ */
+export function getBaseCashflow(
+  state,
+  date,
+  periodIndex = 1,
+  itemPeriods = getItemPeriods(state, periodIndex)
+) {
+  const start = dateFromYMD(state.startDate);
+  const raises = countRaises(state, start, date);
+  const years = countAnniversaries(start, date);
+  const raisePct = state.annualRaisePct || 0;
+  const inflationPct = state.expenseInflationPct || 0;
+  const active = (item) => isItemActive(itemPeriods.get(item), periodIndex);
+
+  const deductions = state.deductions
+    .filter(active)
+    .reduce((s, d) => s + grow(d.amount, d.growthPct ?? 0, raises), 0);
+  const fixed = state.fixedExpenses
+    .filter(active)
+    .reduce(
+      (s, e) => s + grow(e.amount, e.growthPct ?? inflationPct, years),
+      0
+    );
+
+  return {
+    net: grow(state.grossIncome, raisePct, raises) - deductions,
+    fixed,
+    discretionary: grow(state.discretionary, inflationPct, years)
+  };
+}
+
+/**
+ * Vigencia de una deducción / gasto fijo en el calendario del plan:
+ *   { firstPeriod, lastPeriod }  (índices desde 1)
+ * firstPeriod = null si no aplica dentro del horizonte; lastPeriod = null si
+ * no termina dentro del horizonte.
+ */
+export function getItemSchedule(state, item) {
+  const maxPeriods = getMaxPeriods(state.payFrequency);
+  return getItemPeriods(state, maxPeriods, [item]).get(item);
+}
+
+// --- MONEDA EXTRANJERA ---
+// Tipo de cambio (pesos por unidad) a una fecha: inicial con deriva anual
+// compuesta desde startDate
+export function getFxRate(state, currency, date) {
+  if (!currency || currency === 'MXN') return 1;
+  const fx = (state.fxRates || {})[currency] || {};
+  const rate = fx.rate || DEFAULT_FX_RATES[currency] || 1;
+  const days = daysBetween(dateFromYMD(state.startDate), date);
+  if (!fx.annualDrift || days <= 0) return rate;
+  return rate * Math.pow(1 + fx.annualDrift / 100, days / 365);
+}
+
+// Multiplica todos los montos de una deuda (y de sus obligaciones abiertas)
+// por factor. Sirve para convertir a pesos y para revaluar cada periodo.
+function scaleDebtAmounts(debt, factor, obligations = []) {
+  debt.balance *= factor;
+  if (debt.creditLimit) debt.creditLimit *= factor;
+  debt.monthlyMin = (debt.monthlyMin || 0) * factor;
+  debt.periodSpend = (debt.periodSpend || 0) * factor;
+  debt.lateFee = (debt.lateFee || 0) * factor;
+  if (debt.loanPayment) debt.loanPayment *= factor;
+  if (debt.loanPaymentCurrent) debt.loanPaymentCurrent *= factor;
+  if (debt.msiOutstanding) debt.msiOutstanding *= factor;
+  if (debt.adbSum) debt.adbSum *= factor;
+  (debt.installments || []).forEach((plan) => {
+    plan.total *= factor;
+  });
+  obligations.forEach((ob) => {
+    ob.amountRemaining *= factor;
+    ob.monthlyMin *= factor;
+    ob.banxicoBaseMin *= factor;
+    ob.msiDue *= factor;
+    ob.msiRemaining *= factor;
+  });
+  return debt;
+}
+
+// Copia de la deuda con sus montos en pesos al tipo de cambio de date
+export function toMXNDebt(state, debt, date) {
+  const copy = deepClone(debt);
+  const rate = getFxRate(state, debt.currency, date);
+  return rate === 1 ? copy : scaleDebtAmounts(copy, rate);
+}
+
+// Políticas de reparto del excedente entre deuda y metas
+export const SURPLUS_POLICIES = ['debtFirst', 'goalsFirst', 'split', 'perGoal'];
+
+// Normalization
+export function normalizeState(data) {
+  const s = deepClone(data || {});
+
+  if (!Array.isArray(s.deductions)) s.deductions = [];
+  if (!Array.isArray(s.fixedExpenses)) s.fixedExpenses = [];
+  if (!Array.isArray(s.debts)) s.debts = [];
+  if (!Array.isArray(s.events)) s.events = [];
+  if (!Array.isArray(s.goals)) s.goals = [];
+  if (!Array.isArray(s.ledger)) s.ledger = [];
+
+  const todayStr = new Date().toISOString().split('T')[0];
+
+  s.grossIncome = parseFloat(s.grossIncome) || 0;
+  s.discretionary = parseFloat(s.discretionary) || 0;
+  s.strategy = s.strategy || 'snowball';
+  s.payFrequency = PAY_FREQUENCIES[s.payFrequency]
+    ? s.payFrequency
+    : 'quincenal';
+  // Orden personalizado (ids de deudas) para la estrategia 'custom'
+  s.customOrder = Array.isArray(s.customOrder) ? s.customOrder : [];
+  s.surplusPolicy = SURPLUS_POLICIES.includes(s.surplusPolicy)
+    ? s.surplusPolicy
+    : 'debtFirst';
+  s.surplusGoalFloor = parseFloat(s.surplusGoalFloor) || 0;
+  s.surplusGoalPct = Math.min(
+    100,
+    Math.max(0, parseFloat(s.surplusGoalPct) || 0)
+  );
+
+  // Tipo de cambio por moneda: { rate, annualDrift }
+  const fxRates = s.fxRates && typeof s.fxRates === 'object' ? s.fxRates : {};
+  s.fxRates = {};
+  CURRENCIES.filter((c) => c !== 'MXN').forEach((c) => {
+    const fx = fxRates[c] || {};
+    s.fxRates[c] = {
+      rate: parseFloat(fx.rate) > 0 ? parseFloat(fx.rate) : DEFAULT_FX_RATES[c],
+      annualDrift: parseFloat(fx.annualDrift) || 0
+    };
+  });
+
+  s.annualRaisePct = parseFloat(s.annualRaisePct) || 0;
+  s.raiseMonth = Math.min(12, Math.max(1, parseInt(s.raiseMonth, 10) || 1));
+  s.expenseInflationPct = parseFloat(s.expenseInflationPct) || 0;
+
+  // growthPct: aumento anual propio (null = fijo en deducciones, inflación
+  // del perfil en gastos)
+  const parseGrowth = (v) =>
+    v === undefined || v === null || v === '' || isNaN(parseFloat(v))
+      ? null
+      : parseFloat(v);
+  const parseRemaining = (v) =>
+    parseInt(v, 10) >= 0 ? parseInt(v, 10) : null;
+
+  s.deductions = s.deductions.map((d) => ({
+    name: d.name || '',
+    amount: parseFloat(d.amount) || 0,
+    growthPct: parseGrowth(d.growthPct),
+    startDate: d.startDate || null,
+    endDate: d.endDate || null,
+    remainingPayments: parseRemaining(d.remainingPayments)
+  }));
+
+  s.fixedExpenses = s.fixedExpenses.map((e) => ({
+    name: e.name || '',
+    amount: parseFloat(e.amount) || 0,
+    growthPct: parseGrowth(e.growthPct),
+    startDate: e.startDate || null,
+    endDate: e.endDate || null,
+    remainingPayments: parseRemaining(e.remainingPayments)
+  }));
+
+  s.debts = s.debts.map((d, idx) => ({
+    id: d.id !== undefined && d.id !== null ? d.id : idx + 1,
+    name: d.name || `Deuda ${idx + 1}`,
+    balance: parseFloat(d.balance) || 0,
+    rate: parseFloat(d.rate) || 0,
+    creditLimit:
+      d.creditLimit !== undefined && d.creditLimit !== null
+        ? parseFloat(d.creditLimit) || null
+        : null,
+    monthlyMin:
+      d.monthlyMin !== undefined && d.monthlyMin !== null
+        ? parseFloat(d.monthlyMin) || 0
+        : 0,
+    dueDay:
+      d.dueDay !== undefined && d.dueDay !== null && d.dueDay !== ''
+        ? parseInt(d.dueDay, 10) || null
+        : null,
+    cutoffDay:
+      d.cutoffDay !== undefined && d.cutoffDay !== null && d.cutoffDay !== ''
+        ? Math.min(31, parseInt(d.cutoffDay, 10)) || null
+        : null,
+    interestMode: d.interestMode === 'dailyBalance' ? 'dailyBalance' : 'period',
+    periodSpend: parseFloat(d.periodSpend) || 0,
+    spendPaidInFull: d.spendPaidInFull === true,
+    kind: d.kind === 'loan' ? 'loan' : 'revolving',
+    currency: CURRENCIES.includes(d.currency) ? d.currency : 'MXN',
+    termMonths:
+      parseInt(d.termMonths, 10) > 0 ? parseInt(d.termMonths, 10) : null,
+    loanPayment:
+      parseFloat(d.loanPayment) > 0 ? parseFloat(d.loanPayment) : null,
+    prepaymentPolicy:
+      d.prepaymentPolicy === 'reducePayment' ? 'reducePayment' : 'reduceTerm',
+    rateSchedule: (Array.isArray(d.rateSchedule) ? d.rateSchedule : [])
+      .filter((seg) => seg && parseYMD(seg.from))
+      .map((seg) => ({ from: seg.from, rate: parseFloat(seg.rate) || 0 }))
+      .sort((a, b) => compareYMD(a.from, b.from)),
+    promoEndDate: d.promoEndDate || null,
+    promoRate: parseFloat(d.promoRate) || 0,
+    lateFee: parseFloat(d.lateFee) || 0,
+    penaltyRate:
+      parseFloat(d.penaltyRate) > 0 ? parseFloat(d.penaltyRate) : null,
+    moratoriumRate: parseFloat(d.moratoriumRate) || 0,
+    installments: (Array.isArray(d.installments) ? d.installments : []).map(
+      (plan, pIdx) => ({
+        id: plan.id !== undefined && plan.id !== null ? plan.id : pIdx + 1,
+        name: plan.name || `MSI ${pIdx + 1}`,
+        total: parseFloat(plan.total) || 0,
+        months: parseInt(plan.months, 10) || 0,
+        startDate: plan.startDate || todayStr
+      })
+    )
+  }));
+
+  s.events = s.events.map((ev, idx) => ({
+    id: ev.id !== undefined && ev.id !== null ? ev.id : idx + 1,
+    name: ev.name || `Evento ${idx + 1}`,
+    date: ev.date || todayStr,
+    amount: parseFloat(ev.amount) || 0,
+    type: ev.type === 'expense' ? 'expense' : 'income',
+    frequency: EVENT_FREQUENCIES.includes(ev.frequency)
+      ? ev.frequency
+      : 'once',
+    interval: Math.max(1, parseInt(ev.interval, 10) || 1),
+    endDate: ev.endDate || null,
+    count: parseInt(ev.count, 10) > 0 ? parseInt(ev.count, 10) : null
+  }));
+
+  s.goals = s.goals.map((g, idx) => ({
+    id: g.id !== undefined && g.id !== null ? g.id : idx + 1,
+    name: g.name || `Meta ${idx + 1}`,
+    targetAmount: parseFloat(g.targetAmount) || 0,
+    startingSaved: parseFloat(g.startingSaved ?? g.saved ?? 0) || 0,
+    priority: parseInt(g.priority ?? idx + 1, 10) || idx + 1,
+    deadline: g.deadline || null,
+    annualYield: Math.max(0, parseFloat(g.annualYield) || 0),
+    yieldWithholding: Math.max(0, parseFloat(g.yieldWithholding) || 0),
+    fundBeforeDebt: g.fundBeforeDebt === true
+  }));
+
+  s.ledger = s.ledger.map((entry, idx) => ({
+    id: entry.id !== undefined && entry.id !== null ? entry.id : idx + 1,
+    date: entry.date || todayStr,
+    debtId: entry.debtId ?? null,
+    type: entry.type === 'statement' ? 'statement' : 'payment',
+    amount: parseFloat(entry.amount) || 0,
+    note: entry.note || ''
+  }));
+
+  if (!s.startDate) s.startDate = todayStr;
+
+  return s;
+}
+
+// Ordenar tarjetas según estrategia (no muta el arreglo recibido).
+// customOrder: ids en el orden elegido por el usuario (estrategia 'custom');
+// las deudas que no aparecen ahí quedan al final en su orden original.
+export function orderDebtsByStrategy(debts, strategy, customOrder = []) {
+  // Durante la simulación se usa la tasa vigente del periodo (currentRate)
+  const rateOf = (d) => d.currentRate ?? d.rate;
+  const customPos = (d) => {
+    const i = customOrder.findIndex((id) => String(id) === String(d.id));
+    return i < 0 ? customOrder.length : i;
+  };
+  return [...debts].sort((a, b) => {
+    switch (strategy) {
+      case 'custom':
+        return customPos(a) - customPos(b);
+      case 'snowball':
+        return a.balance - b.balance;
+      case 'avalanche':
+        return rateOf(b) - rateOf(a);
+      case 'highMin':
+        return getScheduledPayment(b) - getScheduledPayment(a);
+      case 'reverseSnowball':
+        return b.balance - a.balance; // subóptima a propósito
+      default:
+        return rateOf(b) - rateOf(a); // fallback avalanche
+    }
+  });
+}
+
+// Saldo que sí genera intereses y que puede atacar la estrategia (sin MSI)
+function revolvingOf(debt) {
+  return Math.max(0, debt.balance - (debt.msiOutstanding || 0));
+}
+
+// Obligación mensual de un crédito a plazo fijo (pago de amortización)
+function buildLoanObligation(debt, dueDate) {
+  // Prepago con 'reducePayment': se recalcula el pago con el plazo restante
+  if (debt.loanPrepaid && debt.prepaymentPolicy === 'reducePayment') {
+    debt.loanPaymentCurrent = computeLoanPayment(
+      debt.balance,
+      getRateAt(debt, dueDate),
+      Math.max(1, debt.loanMonthsLeft)
+    );
+  }
+  debt.loanPrepaid = false;
+  debt.loanMonthsLeft = Math.max(0, (debt.loanMonthsLeft || 0) - 1);
+
+  const payment = Math.min(debt.loanPaymentCurrent || 0, debt.balance);
+  return {
+    dueDate,
+    amountRemaining: payment,
+    monthlyMin: payment,
+    banxicoBaseMin: 0,
+    msiDue: 0,
+    msiRemaining: 0
+  };
+}
+
+// Obligación mensual de una tarjeta: mínimo revolvente + mensualidades MSI
+function buildObligation(debt, dueDate) {
+  if (debt.kind === 'loan') return buildLoanObligation(debt, dueDate);
+
+  const revolving = revolvingOf(debt);
+  const ban = computeBanxicoMonthlyComponents(
+    revolving,
+    getRateAt(debt, dueDate),
+    debt.creditLimit
+  );
+  const userMin = parseFloat(debt.monthlyMin) || 0;
+  let revolvingMin = 0;
+  if (revolving > 0.5) {
+    revolvingMin = userMin > 0 ? Math.max(userMin, ban.baseMin) : ban.baseMin;
+  }
+  const msiDue = Math.min(
+    getInstallmentDue(debt, dueDate),
+    debt.msiOutstanding || 0
+  );
+
+  return {
+    dueDate,
+    amountRemaining: revolvingMin + msiDue,
+    monthlyMin: revolvingMin + msiDue,
+    banxicoBaseMin: ban.baseMin,
+    msiDue,
+    msiRemaining: msiDue
+  };
+}
+
+// ¿La deuda tiene configurado algún cargo por atraso?
+function hasPenaltyModel(debt) {
+  return (
+    (debt.lateFee || 0) > 0 ||
+    (debt.penaltyRate || 0) > 0 ||
+    (debt.moratoriumRate || 0) > 0
+  );
+}
+
+// Reparte un monto entre las metas pendientes por prioridad (muta goal.saved).
+// Regresa [{ name, amount, phase }] con lo aportado a cada una.
+function fundGoals(goals, amount, phase) {
+  const details = [];
+  let extra = amount;
+  const orderedGoals = goals
+    .filter((g) => (g.targetAmount || 0) - (g.saved || 0) > 1)
+    .sort((a, b) => (a.priority || 999) - (b.priority || 999));
+
+  for (const goal of orderedGoals) {
+    if (extra <= 1) break;
+    const need = (goal.targetAmount || 0) - (goal.saved || 0);
+    const pay = Math.min(need, extra);
+    goal.saved = (goal.saved || 0) + pay;
+    extra -= pay;
+    details.push({ goalId: goal.id, name: goal.name, amount: pay, phase });
+  }
+  return details;
+}
+
+// Metas y monto que la política de excedentes aparta antes de la estrategia
+function getPreDebtSaving(state, goals, cashAvailable) {
+  switch (state.surplusPolicy) {
+    case 'goalsFirst': {
+      const saved = goals.reduce((s, g) => s + (g.saved || 0), 0);
+      const missing = Math.max(0, (state.surplusGoalFloor || 0) - saved);
+      return { goals, budget: Math.min(cashAvailable, missing) };
+    }
+    case 'split':
+      return {
+        goals,
+        budget: (cashAvailable * (state.surplusGoalPct || 0)) / 100
+      };
+    case 'perGoal':
+      return {
+        goals: goals.filter((g) => g.fundBeforeDebt),
+        budget: cashAvailable
+      };
+    default:
+      return { goals: [], budget: 0 };
+  }
+}
+
+// ¿La tarjeta genera estados de cuenta en su fecha de corte?
+function hasCutoff(debt) {
+  return debt.kind !== 'loan' && debt.cutoffDay > 0;
+}
+
+function usesDailyBalance(debt) {
+  return hasCutoff(debt) && debt.interestMode === 'dailyBalance';
+}
+
+// Interés por saldo promedio diario: acumula saldo revolvente × días y en cada
+// corte cobra suma / 360 × tasa (equivale a promedio × tasa / 360 × días).
+// Lo cobrado en un corte ya genera intereses en el ciclo siguiente.
+// Regresa el interés (sin IVA) cobrado en los cortes del rango.
+function accrueDailyBalance(debt, cutoffs, periodEnd) {
+  const rate = (debt.currentRate || 0) / 100;
+  let interest = 0;
+
+  cutoffs.forEach((cutoff) => {
+    const balance = revolvingOf(debt) + interest * 1.16;
+    debt.adbSum += balance * daysBetween(debt.adbFrom, cutoff);
+    interest += (debt.adbSum * rate) / 360;
+    debt.adbSum = 0;
+    debt.adbFrom = cutoff;
+  });
+
+  const balance = revolvingOf(debt) + interest * 1.16;
+  debt.adbSum += balance * daysBetween(debt.adbFrom, periodEnd);
+  debt.adbFrom = periodEnd;
+  return interest;
+}
+
+// Aplica un pago a las obligaciones pendientes de una deuda: la de
+// vencimiento más cercano primero y, dentro de cada una, primero la parte MSI.
+// Regresa lo aplicado ({ paid, msiPaid }); lo que sobre no se toca.
+function payObligations(debt, obs, amount) {
+  let paid = 0;
+  let msiPaid = 0;
+  const sortedObs = [...obs].sort((a, b) => a.dueDate - b.dueDate);
+
+  for (const ob of sortedObs) {
+    const budget = amount - paid;
+    if (budget <= 0) break;
+    if (ob.amountRemaining <= 0.5) continue;
+
+    const pay = Math.min(budget, ob.amountRemaining, debt.balance);
+    if (pay <= 0) continue;
+
+    ob.amountRemaining -= pay;
+    debt.balance -= pay;
+
+    const msiPay = Math.min(pay, ob.msiRemaining || 0);
+    if (msiPay > 0) {
+      ob.msiRemaining -= msiPay;
+      debt.msiOutstanding -= msiPay;
+    }
+
+    paid += pay;
+    msiPaid += msiPay;
+  }
+
+  return { paid, msiPaid };
+}
+
+// Registro vacío de una tarjeta dentro de un periodo
+function makeDebtRecord(debt, startingBalance) {
+  return {
+    debtId: debt.id,
+    name: debt.name,
+    startingBalance,
+    interest: 0,
+    iva: 0,
+    purchases: 0,
+    purchasesPaid: 0,
+    minPaid: 0,
+    msiPaid: 0,
+    extraPaid: 0,
+    penalty: 0,
+    adjustment: 0,
+    fxAdjustment: 0,
+    endingBalance: debt.balance,
+    banxico: computeBanxicoMonthlyComponents(
+      startingBalance,
+      debt.currentRate ?? debt.rate,
+      debt.creditLimit
+    )
+  };
+}
+
+/**
+ * SIM ENGINE (monthly minimum logic w/ due dates)
+ *
+ * Recibe un estado ya normalizado (ver normalizeState) y no lo modifica.
+ *
+ * options:
+ *   - maxPeriods: horizonte máximo en periodos (default MAX_YEARS según la
+ *     frecuencia de pago, ver getMaxPeriods).
+ *   - strategy: fuerza una estrategia distinta a state.strategy.
+ *   - ledger: registros de pagos reales / estados de cuenta a reproducir
+ *     (normalmente state.ledger); los periodos cubiertos salen con actual: true.
+ *   - shocks: [{ incomeFactor, expense, label }] por periodo (índice 0 = primer
+ *     periodo); multiplica el ingreso neto y suma un gasto imprevisto. Lo usa
+ *     runStressTest.
+ *
+ * Regresa:
+ *   {
+ *     periods,            // una fila por periodo de pago (lo que pinta la tabla)
+ *     cardHistories,      // { [debtId]: [{ date, dateLabel, startingBalance, ... }] }
+ *     goalHistories,      // { [goalId]: [{ date, dateLabel, startingSaved, earnings, contribution, endingSaved }] }
+ *     minObligations,     // { [debtId]: [{ dueDate, amountRemaining, monthlyMin, banxicoBaseMin, msiDue, msiRemaining }] }
+ *     totalInterestPaid,  // intereses + IVA (+ penalizaciones) de todo el horizonte
+ *     totalPenalties,     // comisiones por atraso + moratorios + IVA
+ *     totalDebtStart,     // suma de saldos iniciales
+ *     debtFreedomIndex,   // índice en periods donde la deuda llega a 0 (o null)
+ *     freedomDate,        // Date del periodo de libertad (o null)
+ *     currentTarget,      // tarjeta que la estrategia ataca primero (o null)
+ *     payoffOrder         // [{ debtId, name, periodIndex, date }] en orden de liquidación
+ *   }
+ */
+export function simulate(state, options = {}) {
+  const payFrequency = PAY_FREQUENCIES[state.payFrequency]
+    ? state.payFrequency
+    : 'quincenal';
+  const periodsPerYear = PAY_FREQUENCIES[payFrequency];
+  const maxPeriods = options.maxPeriods || getMaxPeriods(payFrequency);
+  const strategy = options.strategy || state.strategy || 'snowball';
+
+  const periods = [];
+  const cardHistories = {};
+  const goalHistories = {};
+
+  const simStartDate = dateFromYMD(state.startDate);
+  // Vigencia de deducciones y gastos fijos, una vez para todo el horizonte
+  const itemPeriods = getItemPeriods(state, maxPeriods);
+
+  // Deudas en moneda extranjera: se trabaja en pesos desde el inicio
+  let currentDebts = state.debts.map((d) => ({
+    ...toMXNDebt(state, d, simStartDate),
+    fxRate: getFxRate(state, d.currency, simStartDate)
+  }));
+  let currentGoals = deepClone(state.goals || []).map((g) => ({
+    ...g,
+    saved: g.startingSaved || 0
+  }));
+
+  // MSI pendiente: se suma al saldo pero se lleva aparte (no genera intereses).
+  // Créditos: pago fijo inicial y plazo restante.
+  currentDebts.forEach((debt) => {
+    if (debt.kind === 'loan') {
+      debt.msiOutstanding = 0;
+      debt.loanPaymentCurrent = getScheduledPayment(debt);
+      debt.loanMonthsLeft = debt.termMonths || 0;
+      return;
+    }
+    debt.msiOutstanding = getInstallmentOutstanding(debt, simStartDate);
+    debt.balance += debt.msiOutstanding;
+    // El ciclo en curso empezó en el último corte antes del inicio; se asume
+    // el mismo saldo desde entonces
+    if (hasCutoff(debt)) {
+      debt.adbFrom = getLastCutoff(
+        debt.cutoffDay,
+        new Date(
+          simStartDate.getFullYear(),
+          simStartDate.getMonth(),
+          simStartDate.getDate() - 1
+        )
+      );
+      debt.adbSum = 0;
+    }
+  });
+  const startBalances = {};
+  currentDebts.forEach((debt) => {
+    startBalances[debt.id] = debt.balance;
+  });
+
+  let currentDate = new Date(
+    simStartDate.getFullYear(),
+    simStartDate.getMonth(),
+    simStartDate.getDate()
+  );
+
+  let prevPeriodEnd = null;
+
+  let iteration = 0;
+  let totalInterestPaid = 0;
+  let totalPenalties = 0;
+
+  const totalDebtStart = currentDebts.reduce((s, d) => s + d.balance, 0);
+  let debtRemaining = totalDebtStart;
+  let totalGoalRemaining = currentGoals.reduce(
+    (s, g) => s + Math.max(0, (g.targetAmount || 0) - (g.saved || 0)),
+    0
+  );
+
+  let carryOver = 0;
+  let debtFreedomIndex = null;
+
+  // Expandir eventos (únicos y recurrentes) hasta el horizonte máximo posible
+  const horizonEnd = new Date(
+    simStartDate.getFullYear(),
+    simStartDate.getMonth() + maxPeriods + 1,
+    1
+  );
+  const eventOccurrences = [];
+  state.events.forEach((ev) => {
+    getEventOccurrences(ev, horizonEnd).forEach((date) => {
+      eventOccurrences.push({ ev, date });
+    });
+  });
+
+  // Pagos reales desde la fecha de inicio, en orden cronológico. Los periodos
+  // que alcanzan el último registro se reproducen en lugar de simularse.
+  const ledgerEntries = (options.ledger || [])
+    .map((entry) => ({ ...entry, dateObj: dateFromYMD(entry.date) }))
+    .filter((entry) => entry.dateObj >= simStartDate && entry.amount >= 0)
+    .sort((a, b) => a.dateObj - b.dateObj);
+  const ledgerCutoff = ledgerEntries.length
+    ? ledgerEntries[ledgerEntries.length - 1].dateObj
+    : null;
+
+  // Inicializar historiales por tarjeta
+  currentDebts.forEach((d) => {
+    cardHistories[d.id] = [];
+  });
+  currentGoals.forEach((g) => {
+    goalHistories[g.id] = [];
+  });
+
+  // --- Obligaciones mensuales por tarjeta ---
+  const minObligations = {}; // { [debtId]: [{dueDate, amountRemaining, monthlyMin, banxicoBaseMin, msiDue, msiRemaining}] }
+
+  currentDebts.forEach((debt) => {
+    const balance = debt.balance || 0;
+    if (balance <= 0.5) return;
+
+    minObligations[debt.id] = [
+      buildObligation(debt, getFirstDueDate(simStartDate, debt))
+    ];
+  });
+
+  while ((debtRemaining > 5 || totalGoalRemaining > 5) && iteration < maxPeriods) {
+    iteration++;
+
+    const periodEnd = currentDate;
+    const inThisPeriod = (date) =>
+      prevPeriodEnd
+        ? date > prevPeriodEnd && date <= periodEnd
+        : date >= simStartDate && date <= periodEnd;
+    const isActualPeriod =
+      ledgerCutoff !== null && (!prevPeriodEnd || ledgerCutoff > prevPeriodEnd);
+    // Día anterior al periodo, para buscar cortes en (periodFrom, periodEnd]
+    const periodFrom =
+      prevPeriodEnd ||
+      new Date(
+        simStartDate.getFullYear(),
+        simStartDate.getMonth(),
+        simStartDate.getDate() - 1
+      );
+    const periodLedger = isActualPeriod
+      ? ledgerEntries.filter((entry) => inThisPeriod(entry.dateObj))
+      : [];
+
+    // --- INGRESOS / GASTOS BÁSICOS + EVENTOS ---
+    const base = getBaseCashflow(state, periodEnd, iteration, itemPeriods);
+    const baseNet = base.net;
+    const baseFixed = base.fixed;
+    const shock = options.shocks ? options.shocks[iteration - 1] : null;
+    let periodIncome = shock ? baseNet * shock.incomeFactor : baseNet;
+    let periodExpense =
+      baseFixed + base.discretionary + (shock ? shock.expense : 0);
+    let eventLog = shock && shock.label ? [shock.label] : [];
+
+    eventOccurrences.forEach(({ ev, date: evDate }) => {
+      if (!inThisPeriod(evDate)) return;
+
+      if (ev.type === 'income') {
+        periodIncome += ev.amount;
+        eventLog.push(`+${ev.name}`);
+      } else {
+        periodExpense += ev.amount;
+        eventLog.push(`-${ev.name}`);
+      }
+    });
+
+    const netThisPeriod = periodIncome - periodExpense;
+    let cashAvailable = netThisPeriod + carryOver;
+    const initialCash = cashAvailable;
+
+    // --- INTERESES DEL PERIODO (tasa vigente) + registro por tarjeta ---
+    const rowDebtData = {};
+    const cutoffsThisPeriod = {}; // debtId -> [Date] cortes dentro del periodo
+
+    // Revaluación cambiaria: saldo, mínimos y obligaciones al tipo del periodo
+    const fxThisPeriod = {}; // debtId -> diferencia cambiaria en pesos
+    currentDebts.forEach((debt) => {
+      if (debt.currency === 'MXN') return;
+      const rate = getFxRate(state, debt.currency, periodEnd);
+      if (Math.abs(rate - debt.fxRate) < 1e-9) return;
+      const before = debt.balance;
+      scaleDebtAmounts(debt, rate / debt.fxRate, minObligations[debt.id]);
+      debt.fxRate = rate;
+      fxThisPeriod[debt.id] = debt.balance - before;
+    });
+    let periodInterest = 0;
+    currentDebts.forEach((debt) => {
+      if (hasCutoff(debt)) {
+        cutoffsThisPeriod[debt.id] = getCutoffsBetween(
+          debt.cutoffDay,
+          periodFrom,
+          periodEnd
+        );
+      }
+      // Tras un atraso aplica la tasa penalizada (si la deuda la define)
+      debt.currentRate =
+        debt.penaltyActive && debt.penaltyRate > 0
+          ? debt.penaltyRate
+          : getRateAt(debt, periodEnd);
+    });
+    currentDebts.forEach((debt) => {
+      const debtId = debt.id;
+      const prevBalance = debt.balance || 0;
+      if (prevBalance <= 0.5) {
+        debt.balance = 0;
+        if (usesDailyBalance(debt)) {
+          debt.adbSum = 0;
+          debt.adbFrom = new Date(periodEnd);
+        }
+        return;
+      }
+
+      // Interés del periodo (tasa anual / periodos por año) + IVA, o el del
+      // ciclo por saldo promedio diario si en este periodo hubo corte.
+      // Lo pendiente de MSI no genera intereses.
+      const intereses = usesDailyBalance(debt)
+        ? accrueDailyBalance(debt, cutoffsThisPeriod[debt.id], periodEnd)
+        : (revolvingOf(debt) * (debt.currentRate / 100)) / periodsPerYear;
+      const iva = intereses * 0.16;
+      const totalCharge = intereses + iva;
+      const balanceAfterCharge = prevBalance + totalCharge;
+
+      debt.balance = balanceAfterCharge;
+      totalInterestPaid += totalCharge;
+      periodInterest += totalCharge;
+
+      const fxAdjustment = fxThisPeriod[debtId] || 0;
+      const rec = makeDebtRecord(debt, prevBalance - fxAdjustment);
+      rec.interest = intereses;
+      rec.iva = iva;
+      rec.fxAdjustment = fxAdjustment;
+      rowDebtData[debtId] = rec;
+    });
+
+    // --- RENDIMIENTOS DE METAS (sobre lo ahorrado al inicio del periodo) ---
+    const earningsThisPeriod = {}; // goalId -> rendimiento neto
+    currentGoals.forEach((goal) => {
+      if (!(goal.saved > 0) || !(goal.annualYield > 0)) return;
+      const gross = (goal.saved * (goal.annualYield / 100)) / periodsPerYear;
+      const withheld =
+        (goal.saved * ((goal.yieldWithholding || 0) / 100)) / periodsPerYear;
+      const net = Math.max(-goal.saved, gross - withheld);
+      goal.saved += net;
+      earningsThisPeriod[goal.id] = net;
+    });
+
+    // --- ESTADOS DE CUENTA REALES (reemplazan el saldo revolvente) ---
+    periodLedger
+      .filter((entry) => entry.type === 'statement')
+      .forEach((entry) => {
+        const debt = currentDebts.find(
+          (d) => String(d.id) === String(entry.debtId)
+        );
+        if (!debt) return;
+
+        // Los pagos del periodo hasta la fecha del corte ya vienen reflejados
+        // en el saldo; se suman de vuelta porque abajo se aplican todos.
+        const paidBefore = periodLedger
+          .filter(
+            (p) =>
+              p.type === 'payment' &&
+              String(p.debtId) === String(entry.debtId) &&
+              p.dateObj <= entry.dateObj
+          )
+          .reduce((sum, p) => sum + p.amount, 0);
+
+        const before = debt.balance;
+        debt.balance =
+          entry.amount * (debt.fxRate || 1) +
+          paidBefore +
+          (debt.msiOutstanding || 0);
+        if (!minObligations[debt.id] && debt.balance > 0.5) {
+          minObligations[debt.id] = [
+            buildObligation(debt, getFirstDueDate(periodEnd, debt))
+          ];
+        }
+
+        const rec = rowDebtData[debt.id] || makeDebtRecord(debt, before);
+        rec.adjustment += debt.balance - before;
+        rec.endingBalance = debt.balance;
+        rowDebtData[debt.id] = rec;
+      });
+
+    // --- Generar nuevas obligaciones después de cada vencimiento ---
+    Object.keys(minObligations).forEach((idStr) => {
+      const debt = currentDebts.find((d) => String(d.id) === idStr);
+      if (!debt || debt.balance <= 0.5) return;
+
+      const obs = minObligations[debt.id];
+      if (!obs || !obs.length) return;
+
+      // Con fecha de corte: el estado de cuenta de cada corte fija la
+      // obligación de su vencimiento (si ya existía, se recalcula respetando
+      // lo que ya se haya abonado).
+      if (hasCutoff(debt)) {
+        (cutoffsThisPeriod[debt.id] || []).forEach((cutoff) => {
+          const newOb = buildObligation(debt, getDueDateForCutoff(debt, cutoff));
+          const existing = obs.find(
+            (o) => o.dueDate.getTime() === newOb.dueDate.getTime()
+          );
+          if (!existing) {
+            obs.push(newOb);
+            return;
+          }
+          const paidSoFar = existing.monthlyMin - existing.amountRemaining;
+          const msiPaidSoFar = existing.msiDue - existing.msiRemaining;
+          Object.assign(existing, newOb, {
+            amountRemaining: Math.max(0, newOb.monthlyMin - paidSoFar),
+            msiRemaining: Math.max(0, newOb.msiDue - msiPaidSoFar)
+          });
+        });
+        return;
+      }
+
+      const dueDay = getDueDayOrDefault(debt);
+      let lastOb = obs[obs.length - 1];
+
+      // Si ya pasamos el último dueDate, se crea el del siguiente ciclo
+      while (periodEnd > lastOb.dueDate && obs.length < 240 && debt.balance > 0.5) {
+        let y = lastOb.dueDate.getFullYear();
+        let m = lastOb.dueDate.getMonth() + 1;
+        if (m > 11) {
+          m = 0;
+          y++;
+        }
+        const newOb = buildObligation(debt, makeDueDate(y, m, dueDay));
+
+        obs.push(newOb);
+        lastOb = newOb;
+      }
+    });
+
+    // --- COMPRAS NUEVAS CON TARJETA ---
+    const purchaseDetails = []; // [{ debtId, name, charged, paid, paidInFull }]
+    currentDebts.forEach((debt) => {
+      if (debt.kind === 'loan' || !(debt.periodSpend > 0)) return;
+
+      const before = debt.balance;
+      debt.balance += debt.periodSpend;
+      if (!minObligations[debt.id]) {
+        minObligations[debt.id] = [
+          buildObligation(debt, getFirstDueDate(periodEnd, debt))
+        ];
+      }
+
+      const rec = rowDebtData[debt.id] || makeDebtRecord(debt, before);
+      rec.purchases += debt.periodSpend;
+      rec.endingBalance = debt.balance;
+      rowDebtData[debt.id] = rec;
+
+      purchaseDetails.push({
+        debtId: debt.id,
+        name: debt.name,
+        charged: debt.periodSpend,
+        paid: 0,
+        paidInFull: debt.spendPaidInFull
+      });
+    });
+
+    let paidMins = 0;
+    const minDetails = [];
+    const minPaidThisPeriod = {}; // debtId -> monto pagado como mínimo en este periodo
+    let strategyLog = [];
+    let targetName = '';
+
+    if (isActualPeriod) {
+      // --- PAGOS REALES (sustituyen a mínimos y estrategia) ---
+      targetName = 'Pagos reales';
+      periodLedger
+        .filter((entry) => entry.type === 'payment')
+        .forEach((entry) => {
+          const debt = currentDebts.find(
+            (d) => String(d.id) === String(entry.debtId)
+          );
+          if (!debt || debt.balance <= 0.5) return;
+
+          const before = debt.balance;
+          const amount = Math.min(entry.amount, debt.balance);
+          const { paid, msiPaid } = payObligations(
+            debt,
+            minObligations[debt.id] || [],
+            amount
+          );
+          // Lo que excede las obligaciones es abono extra (prepago en créditos)
+          const extra = Math.min(amount - paid, revolvingOf(debt));
+          if (extra > 0) {
+            debt.balance -= extra;
+            if (debt.kind === 'loan') debt.loanPrepaid = true;
+            strategyLog.push({ debtId: debt.id, name: debt.name, amount: extra });
+          }
+
+          cashAvailable -= paid + extra;
+          paidMins += paid;
+          minPaidThisPeriod[debt.id] = (minPaidThisPeriod[debt.id] || 0) + paid;
+
+          const rec = rowDebtData[debt.id] || makeDebtRecord(debt, before);
+          rec.minPaid += paid - msiPaid;
+          rec.msiPaid += msiPaid;
+          rec.extraPaid += extra;
+          rec.endingBalance = debt.balance;
+          rowDebtData[debt.id] = rec;
+        });
+    } else {
+      // --- PAGOS MÍNIMOS (obligatorios) ---
+      // Seleccionar deudas con obligaciones pendientes
+      const debtsForMin = currentDebts
+        .map((debt) => {
+          const obs = minObligations[debt.id] || [];
+          const activeObs = obs.filter((o) => o.amountRemaining > 0.5);
+          if (!activeObs.length || debt.balance <= 0.5) return null;
+
+          const earliestDue = activeObs.reduce(
+            (min, o) => (o.dueDate < min ? o.dueDate : min),
+            activeObs[0].dueDate
+          );
+          const totalRemaining = activeObs.reduce(
+            (s, o) => s + o.amountRemaining,
+            0
+          );
+          return { debt, obs, earliestDue, totalRemaining };
+        })
+        .filter(Boolean)
+        // Primero las obligaciones con vencimiento más cercano
+        .sort(
+          (a, b) =>
+            a.earliestDue - b.earliestDue || b.totalRemaining - a.totalRemaining
+        );
+
+      debtsForMin.forEach(({ debt, obs }) => {
+        const debtId = debt.id;
+        if (!minPaidThisPeriod[debtId]) minPaidThisPeriod[debtId] = 0;
+        if (cashAvailable <= 0) return;
+
+        const { paid, msiPaid } = payObligations(debt, obs, cashAvailable);
+        if (paid <= 0) return;
+
+        cashAvailable -= paid;
+        paidMins += paid;
+        minPaidThisPeriod[debtId] += paid;
+
+        const rec =
+          rowDebtData[debtId] || makeDebtRecord(debt, debt.balance + paid);
+        rec.minPaid = (rec.minPaid || 0) + paid - msiPaid;
+        rec.msiPaid = (rec.msiPaid || 0) + msiPaid;
+        rec.endingBalance = debt.balance;
+        rowDebtData[debtId] = rec;
+      });
+
+      // --- COMPRAS TOTALERAS (después de los mínimos, antes del corte) ---
+      purchaseDetails
+        .filter((p) => p.paidInFull)
+        .forEach((p) => {
+          const debt = currentDebts.find((d) => d.id === p.debtId);
+          const pay = Math.min(
+            Math.max(0, cashAvailable),
+            p.charged,
+            debt.balance
+          );
+          if (pay <= 0) return;
+
+          debt.balance -= pay;
+          cashAvailable -= pay;
+          p.paid = pay;
+
+          const rec = rowDebtData[debt.id];
+          rec.purchasesPaid += pay;
+          rec.endingBalance = debt.balance;
+        });
+    }
+
+    // --- PENALIZACIONES (obligaciones vencidas sin cubrir) ---
+    let periodPenalties = 0;
+    const penaltyThisPeriod = {}; // debtId -> cargo por atraso en este periodo
+
+    currentDebts.forEach((debt) => {
+      if (!hasPenaltyModel(debt)) return;
+      const obs = minObligations[debt.id] || [];
+
+      let charge = 0;
+      let overdue = false;
+      let paidOnTime = false; // vencimiento de este periodo cubierto completo
+      obs.forEach((ob) => {
+        if (ob.dueDate > periodEnd) return;
+        if (ob.amountRemaining <= 0.5) {
+          const dueThisPeriod = !prevPeriodEnd || ob.dueDate > prevPeriodEnd;
+          if (!ob.penalized && dueThisPeriod) paidOnTime = true;
+          return;
+        }
+        overdue = true;
+        if (!ob.penalized) {
+          ob.penalized = true;
+          debt.penaltyActive = true;
+          charge += (debt.lateFee || 0) * 1.16;
+        }
+        // Interés moratorio sobre lo vencido + IVA
+        charge +=
+          ((ob.amountRemaining * ((debt.moratoriumRate || 0) / 100)) /
+            periodsPerYear) *
+          1.16;
+      });
+      // Un ciclo sin faltantes quita la tasa penalizada
+      if (debt.penaltyActive && !overdue && paidOnTime)
+        debt.penaltyActive = false;
+      if (charge <= 0) return;
+
+      debt.balance += charge;
+      totalInterestPaid += charge;
+      totalPenalties += charge;
+      periodPenalties += charge;
+      penaltyThisPeriod[debt.id] = charge;
+
+      const rec =
+        rowDebtData[debt.id] || makeDebtRecord(debt, debt.balance - charge);
+      rec.penalty = (rec.penalty || 0) + charge;
+      rec.endingBalance = debt.balance;
+      rowDebtData[debt.id] = rec;
+    });
+
+    // Construir minDetails con la foto de lo que YA debería estar cubierto a esta fecha
+    currentDebts.forEach((debt) => {
+      const debtId = debt.id;
+      const obs = minObligations[debtId];
+      if (!obs || !obs.length) return;
+
+      const paid = minPaidThisPeriod[debtId] || 0;
+
+      let requiredNow = 0; // mínimo acumulado que debería estar cubierto a esta fecha
+      let remainingNow = 0; // adeudo pendiente de mínimos vencidos
+      let earliestDue = null;
+      let nextDue = null;
+
+      obs.forEach((ob) => {
+        if (!earliestDue || ob.dueDate < earliestDue) earliestDue = ob.dueDate;
+        if (ob.amountRemaining > 0.5) {
+          if (!nextDue || ob.dueDate < nextDue) nextDue = ob.dueDate;
+        }
+        if (ob.dueDate <= periodEnd) {
+          requiredNow += ob.monthlyMin || 0;
+          remainingNow += ob.amountRemaining;
+        }
+      });
+
+      const baseMonthlyMin = obs[0].monthlyMin || 0;
+      const banxicoBaseMin = obs[0].banxicoBaseMin || 0;
+
+      minDetails.push({
+        debtId,
+        name: debt.name,
+        kind: debt.kind,
+        paid,
+        required: requiredNow,
+        components: {
+          requiredBefore: requiredNow,
+          remainingAfter: remainingNow,
+          firstDueDate: earliestDue,
+          nextDueDate: nextDue,
+          monthlyMin: baseMonthlyMin,
+          penaltyCharged: penaltyThisPeriod[debtId] || 0,
+          banxicoBaseMin
+        }
+      });
+    });
+
+    // --- AHORRO ANTES DE DEUDA (según state.surplusPolicy) ---
+    const savingDetails = [];
+    const debtBeforeStrategy = currentDebts.reduce((s, d) => s + d.balance, 0);
+    if (!isActualPeriod && cashAvailable > 1 && debtBeforeStrategy > 5) {
+      const { goals, budget } = getPreDebtSaving(
+        state,
+        currentGoals,
+        cashAvailable
+      );
+      const funded = fundGoals(goals, budget, 'beforeDebt');
+      funded.forEach((d) => {
+        cashAvailable -= d.amount;
+        savingDetails.push(d);
+      });
+    }
+
+    // --- ESTRATEGIA (EXTRA) ---
+    if (!isActualPeriod && cashAvailable > 1) {
+      // Sólo la parte revolvente (sin MSI) recibe excedente
+      const activeDebts = currentDebts.filter((d) => revolvingOf(d) > 0.5);
+      const totalActiveBalance = activeDebts.reduce(
+        (s, d) => s + revolvingOf(d),
+        0
+      );
+
+      if (strategy === 'flat' && totalActiveBalance > 0) {
+        // Distribuir extra proporcional al saldo
+        let extra = cashAvailable;
+        activeDebts.forEach((debt) => {
+          if (extra <= 1) return;
+          const share = revolvingOf(debt) / totalActiveBalance;
+          let pay = extra * share;
+          pay = Math.min(pay, revolvingOf(debt));
+          if (pay <= 0) return;
+
+          const before = debt.balance;
+          debt.balance -= pay;
+          extra -= pay;
+
+          strategyLog.push({ debtId: debt.id, name: debt.name, amount: pay });
+          if (!targetName) targetName = 'Diversificado';
+
+          if (debt.kind === 'loan') debt.loanPrepaid = true;
+
+          const rec = rowDebtData[debt.id] || makeDebtRecord(debt, before);
+          rec.extraPaid = (rec.extraPaid || 0) + pay;
+          rec.endingBalance = debt.balance;
+          rowDebtData[debt.id] = rec;
+        });
+        cashAvailable = extra;
+      } else {
+        const orderedDebts = orderDebtsByStrategy(
+          activeDebts,
+          strategy,
+          state.customOrder
+        );
+
+        let extra = cashAvailable;
+        for (const debt of orderedDebts) {
+          if (extra <= 1) break;
+          const pay = Math.min(extra, revolvingOf(debt));
+          if (pay <= 0) continue;
+
+          const before = debt.balance;
+          debt.balance -= pay;
+          extra -= pay;
+
+          strategyLog.push({ debtId: debt.id, name: debt.name, amount: pay });
+          if (!targetName) targetName = debt.name;
+
+          if (debt.kind === 'loan') debt.loanPrepaid = true;
+
+          const rec = rowDebtData[debt.id] || makeDebtRecord(debt, before);
+          rec.extraPaid = (rec.extraPaid || 0) + pay;
+          rec.endingBalance = debt.balance;
+          rowDebtData[debt.id] = rec;
+        }
+        cashAvailable = extra;
+      }
+    }
+
+    // Normalizar saldos muy pequeños; una deuda liquidada ya no debe mínimos
+    currentDebts.forEach((d) => {
+      if (d.balance < 1) d.balance = 0;
+      if ((d.msiOutstanding || 0) < 1) d.msiOutstanding = 0;
+      if (d.balance === 0) {
+        (minObligations[d.id] || []).forEach((ob) => {
+          ob.amountRemaining = 0;
+          ob.msiRemaining = 0;
+        });
+      }
+    });
+
+    debtRemaining = currentDebts.reduce((s, d) => s + d.balance, 0);
+
+    // Guardar libertad de deuda
+    if (debtFreedomIndex === null && debtRemaining <= 5) {
+      debtFreedomIndex = periods.length;
+    }
+
+    // --- GOALS (todo el excedente, ya sin deuda) ---
+    const canSaveNow = debtRemaining <= 5 && currentGoals.length > 0;
+
+    if (!isActualPeriod && cashAvailable > 1 && canSaveNow) {
+      fundGoals(currentGoals, cashAvailable, 'afterDebt').forEach((d) => {
+        cashAvailable -= d.amount;
+        savingDetails.push(d);
+      });
+    }
+    const totalSavingThisPeriod = savingDetails.reduce(
+      (s, d) => s + d.amount,
+      0
+    );
+
+    totalGoalRemaining = currentGoals.reduce(
+      (s, g) => s + Math.max(0, (g.targetAmount || 0) - (g.saved || 0)),
+      0
+    );
+
+    const pocket = Math.max(0, cashAvailable);
+    // En periodos reales no sabemos qué pasó con el sobrante: no se arrastra
+    carryOver = isActualPeriod ? 0 : pocket;
+
+    const totalStrategy = strategyLog.reduce((s, x) => s + x.amount, 0);
+    const goalEarnings = Object.values(earningsThisPeriod).reduce(
+      (s, x) => s + x,
+      0
+    );
+
+    const notesParts = [];
+    if (eventLog.length) notesParts.push(eventLog.join(', '));
+    if (periodLedger.some((entry) => entry.type === 'statement'))
+      notesParts.push('Estado de cuenta');
+    if (savingDetails.length)
+      notesParts.push(
+        'Ahorro: ' + savingDetails.map((s) => s.name).join(', ')
+      );
+    const notes = notesParts.join(' / ');
+
+    periods.push({
+      id: iteration,
+      date: new Date(periodEnd),
+      dateStr: formatDateShort(currentDate),
+      income: periodIncome,
+      expenses: periodExpense,
+      // Flujo base sin eventos ni choques (lo que se podría recortar)
+      baseFixed,
+      baseDiscretionary: base.discretionary,
+      initialCash,
+      paidMins,
+      minDetails,
+      totalStrategy,
+      targetName,
+      strategyDetails: strategyLog,
+      totalSaving: totalSavingThisPeriod,
+      savingDetails,
+      goalEarnings,
+      interest: periodInterest,
+      purchases: purchaseDetails.reduce((s, p) => s + p.charged, 0),
+      purchasesPaid: purchaseDetails.reduce((s, p) => s + p.paid, 0),
+      purchaseDetails,
+      penalties: periodPenalties,
+      endBalance: debtRemaining,
+      pocket,
+      notes,
+      actual: isActualPeriod
+    });
+
+    // Construir historial por meta
+    currentGoals.forEach((goal) => {
+      const contribution = savingDetails
+        .filter((d) => d.goalId === goal.id)
+        .reduce((s, d) => s + d.amount, 0);
+      const earnings = earningsThisPeriod[goal.id] || 0;
+      goalHistories[goal.id].push({
+        date: new Date(periodEnd),
+        dateLabel: formatDateShort(periodEnd),
+        startingSaved: goal.saved - contribution - earnings,
+        earnings,
+        contribution,
+        endingSaved: goal.saved
+      });
+    });
+
+    // Construir historial por tarjeta
+    currentDebts.forEach((debt) => {
+      const debtId = debt.id;
+      const rec = rowDebtData[debtId];
+      const historyArr = cardHistories[debtId];
+      if (!historyArr) return;
+
+      if (!rec) {
+        const last =
+          historyArr.length > 0
+            ? historyArr[historyArr.length - 1].endingBalance
+            : debt.balance;
+        historyArr.push({
+          date: new Date(periodEnd),
+          dateLabel: formatDateShort(periodEnd),
+          startingBalance: last,
+          interest: 0,
+          iva: 0,
+          purchases: 0,
+          purchasesPaid: 0,
+          minPaid: 0,
+          msiPaid: 0,
+          extraPaid: 0,
+          penalty: 0,
+          adjustment: 0,
+          fxAdjustment: 0,
+          fxRate: debt.fxRate,
+          endingBalance: debt.balance
+        });
+      } else {
+        historyArr.push({
+          date: new Date(periodEnd),
+          dateLabel: formatDateShort(periodEnd),
+          startingBalance: rec.startingBalance,
+          interest: rec.interest,
+          iva: rec.iva,
+          purchases: rec.purchases,
+          purchasesPaid: rec.purchasesPaid,
+          minPaid: rec.minPaid,
+          msiPaid: rec.msiPaid,
+          extraPaid: rec.extraPaid,
+          penalty: rec.penalty,
+          adjustment: rec.adjustment,
+          fxAdjustment: rec.fxAdjustment,
+          fxRate: debt.fxRate,
+          endingBalance: rec.endingBalance
+        });
+      }
+    });
+
+    // actualizar límite inferior para eventos del siguiente periodo
+    prevPeriodEnd = new Date(periodEnd);
+
+    // Avanzar al siguiente periodo de pago
+    currentDate = getNextPeriodEnd(currentDate, payFrequency, simStartDate);
+  }
+
+  // Target de la estrategia actual (sobre los saldos iniciales)
+  const currentTarget =
+    orderDebtsByStrategy(
+      state.debts.map((d) => ({
+        ...toMXNDebt(state, d, simStartDate),
+        currentRate: getRateAt(d, simStartDate)
+      })),
+      strategy,
+      state.customOrder
+    ).find((d) => d.balance > 0) || null;
+
+  const freedomRow =
+    debtFreedomIndex !== null
+      ? periods[debtFreedomIndex] || periods[periods.length - 1]
+      : null;
+
+  // Orden de liquidación por tarjeta (las que no se liquidan van al final)
+  const payoffOrder = state.debts
+    .filter((d) => (startBalances[d.id] || 0) > 0)
+    .map((d) => {
+      const history = cardHistories[d.id] || [];
+      const idx = history.findIndex((h) => h.endingBalance <= 5);
+      return {
+        debtId: d.id,
+        name: d.name,
+        periodIndex: idx >= 0 ? idx : null,
+        date: idx >= 0 ? history[idx].date : null
+      };
+    })
+    .sort(
+      (a, b) => (a.periodIndex ?? Infinity) - (b.periodIndex ?? Infinity)
+    );
+
+  return {
+    periods,
+    cardHistories,
+    goalHistories,
+    minObligations,
+    totalInterestPaid,
+    totalPenalties,
+    totalDebtStart,
+    debtFreedomIndex,
+    freedomDate: freedomRow ? freedomRow.date : null,
+    currentTarget,
+    payoffOrder
+  };
+}
+
+// Periodos de pago desde la fecha de inicio hasta una fecha (inclusive)
+function countPeriodsUntil(state, until) {
+  const start = dateFromYMD(state.startDate);
+  let date = new Date(start);
+  let count = 0;
+  while (date <= until && count < 1000) {
+    count++;
+    date = getNextPeriodEnd(date, state.payFrequency, start);
+  }
+  return count;
+}
+
+// Proyección de cada meta a partir de result.goalHistories:
+//   { goalId, completionDate, totalContributions, totalEarnings, deadline,
+//     savedAtDeadline, missesDeadline, shortfall, periodsToDeadline,
+//     extraPerPeriod }
+// Los totales de aportes/rendimientos llegan hasta que se completa la meta.
+// extraPerPeriod reparte lo que faltaría a la fecha límite entre los periodos
+// disponibles (aporte adicional parejo, sin rendimientos).
+export function getGoalProjections(state, result) {
+  const start = dateFromYMD(state.startDate);
+  return state.goals.map((goal) => {
+    const target = goal.targetAmount || 0;
+    const history = (result.goalHistories || {})[goal.id] || [];
+
+    let completionDate = null;
+    if ((goal.startingSaved || 0) >= target - 1) {
+      completionDate = start;
+    } else {
+      const done = history.find((h) => h.endingSaved >= target - 1);
+      completionDate = done ? done.date : null;
+    }
+
+    const untilDone = history.filter(
+      (h) => !completionDate || h.date <= completionDate
+    );
+    const totalContributions = untilDone.reduce(
+      (s, h) => s + h.contribution,
+      0
+    );
+    const totalEarnings = untilDone.reduce((s, h) => s + h.earnings, 0);
+
+    const deadline = goal.deadline ? dateFromYMD(goal.deadline) : null;
+    if (!deadline) {
+      return {
+        goalId: goal.id,
+        completionDate,
+        totalContributions,
+        totalEarnings,
+        deadline: null
+      };
+    }
+
+    const beforeDeadline = history.filter((h) => h.date <= deadline);
+    const savedAtDeadline = beforeDeadline.length
+      ? beforeDeadline[beforeDeadline.length - 1].endingSaved
+      : goal.startingSaved || 0;
+    const missesDeadline = !completionDate || completionDate > deadline;
+    const shortfall = missesDeadline
+      ? Math.max(0, target - savedAtDeadline)
+      : 0;
+    const periodsToDeadline = countPeriodsUntil(state, deadline);
+
+    return {
+      goalId: goal.id,
+      completionDate,
+      totalContributions,
+      totalEarnings,
+      deadline,
+      savedAtDeadline,
+      missesDeadline,
+      shortfall,
+      periodsToDeadline,
+      extraPerPeriod:
+        periodsToDeadline > 0 ? shortfall / periodsToDeadline : shortfall
+    };
+  });
+}
+
+// Corre el mismo perfil con cada estrategia: [{ strategy, result }]
+export function compareStrategies(state, options = {}) {
+  return STRATEGIES.map((strategy) => ({
+    strategy,
+    result: simulate(state, { ...options, strategy })
+  }));
+}
+
+// Plan vs realidad: el plan (simulate sin ledger) contra la reproducción con
+// los pagos y estados de cuenta registrados, periodo por periodo.
+// balanceDiff > 0 significa que se debe más de lo planeado (atrasado).
+export function comparePlanVsActual(state, options = {}) {
+  const plan = simulate(state, options);
+  const actual = simulate(state, { ...options, ledger: state.ledger || [] });
+
+  const rows = actual.periods
+    .map((a, idx) => ({ a, p: plan.periods[idx] }))
+    .filter(({ a }) => a.actual)
+    .map(({ a, p }) => {
+      const plannedBalance = p ? p.endBalance : 0;
+      const balanceDiff = a.endBalance - plannedBalance;
+      return {
+        date: a.date,
+        dateStr: a.dateStr,
+        plannedPaid: p ? p.paidMins + p.purchasesPaid + p.totalStrategy : 0,
+        actualPaid: a.paidMins + a.purchasesPaid + a.totalStrategy,
+        plannedBalance,
+        actualBalance: a.endBalance,
+        balanceDiff,
+        plannedInterest: p ? p.interest + p.penalties : 0,
+        actualInterest: a.interest + a.penalties,
+        status:
+          Math.abs(balanceDiff) <= 1
+            ? 'onTrack'
+            : balanceDiff > 0
+            ? 'behind'
+            : 'ahead'
+      };
+    });
+
+  const last = rows[rows.length - 1] || null;
+  const sum = (key) => rows.reduce((s, r) => s + r[key], 0);
+  const shift =
+    plan.debtFreedomIndex !== null && actual.debtFreedomIndex !== null
+      ? actual.debtFreedomIndex - plan.debtFreedomIndex
+      : null;
+
+  return {
+    rows,
+    plan,
+    actual,
+    status: last ? last.status : null,
+    balanceDiff: last ? last.balanceDiff : 0,
+    interestDiff: sum('actualInterest') - sum('plannedInterest'),
+    plannedFreedomDate: plan.freedomDate,
+    projectedFreedomDate: actual.freedomDate,
+    freedomShiftPeriods: shift // > 0: la libertad se retrasa N periodos
+  };
+}
+
+// --- CONSOLIDACIÓN / TRANSFERENCIA DE SALDO ---
+// offer: { debtIds, kind ('loan' | 'revolving'), name, rate, openingFeePct,
+//          termMonths, promoMonths, promoRate, creditLimit, dueDay }
+// Las deudas elegidas pasan su saldo revolvente a una deuda nueva; los MSI se
+// quedan en la tarjeta original (normalmente no se pueden transferir). La
+// comisión por apertura (+ IVA) se financia dentro del nuevo saldo.
+// En una tarjeta con creditLimit, saldo + comisión no pueden pasar del
+// límite: se transfiere primero lo de mayor tasa y lo que no cabe (leftOver)
+// se queda en las deudas originales.
+// Un préstamo sin plazo (termMonths > 0) no tiene pago fijo: regresa null.
+export function buildConsolidationScenario(state, offer) {
+  const ids = (offer.debtIds || []).map(String);
+  const start = dateFromYMD(state.startDate);
+  const isLoan = offer.kind === 'loan';
+  const termMonths = parseInt(offer.termMonths, 10) || 0;
+  if (isLoan && termMonths <= 0) return null;
+  const feeRate = ((offer.openingFeePct || 0) / 100) * 1.16;
+  const creditLimit = isLoan ? null : parseFloat(offer.creditLimit) || null;
+
+  const selected = state.debts.filter((d) => ids.includes(String(d.id)));
+  const moved = {}; // debtId -> pesos transferidos
+  let room = creditLimit ? creditLimit / (1 + feeRate) : Infinity;
+  let transferred = 0;
+  let leftOver = 0;
+  selected
+    .slice()
+    .sort((a, b) => getRateAt(b, start) - getRateAt(a, start))
+    .forEach((debt) => {
+      const amount =
+        (debt.balance || 0) * getFxRate(state, debt.currency, start);
+      const take = Math.max(0, Math.min(amount, room));
+      moved[debt.id] = take;
+      room -= take;
+      transferred += take;
+      leftOver += amount - take;
+    });
+
+  const debts = [];
+  state.debts.forEach((debt) => {
+    if (!ids.includes(String(debt.id))) {
+      debts.push(deepClone(debt));
+      return;
+    }
+    const remaining =
+      (debt.balance || 0) -
+      moved[debt.id] / getFxRate(state, debt.currency, start);
+    const keepsMsi =
+      debt.kind !== 'loan' && getInstallmentOutstanding(debt, start) > 0;
+    if (remaining > 0.005 || keepsMsi) {
+      debts.push({ ...deepClone(debt), balance: Math.max(0, remaining) });
+    }
+  });
+
+  const fee = transferred * feeRate;
+  const promoMonths = parseInt(offer.promoMonths, 10) || 0;
+  const promoEnd = new Date(
+    start.getFullYear(),
+    start.getMonth() + promoMonths,
+    start.getDate()
+  );
+
+  debts.push({
+    id: 'consolidation',
+    name: offer.name || (isLoan ? 'Crédito consolidación' : 'Transferencia'),
+    balance: transferred + fee,
+    rate: parseFloat(offer.rate) || 0,
+    creditLimit,
+    monthlyMin: 0,
+    dueDay: parseInt(offer.dueDay, 10) || null,
+    kind: isLoan ? 'loan' : 'revolving',
+    termMonths: isLoan ? termMonths : null,
+    promoEndDate:
+      !isLoan && promoMonths > 0 ? promoEnd.toISOString().split('T')[0] : null,
+    promoRate: parseFloat(offer.promoRate) || 0
+  });
+
+  // El orden personalizado pone la deuda nueva donde estaba la primera elegida
+  const customOrder = [];
+  (state.customOrder || []).forEach((id) => {
+    if (!ids.includes(String(id))) customOrder.push(id);
+    else if (!customOrder.includes('consolidation'))
+      customOrder.push('consolidation');
+  });
+
+  return {
+    state: normalizeState({ ...deepClone(state), debts, customOrder }),
+    transferred,
+    fee,
+    leftOver,
+    creditLimit
+  };
+}
+
+// Plan actual vs plan consolidado con la misma estrategia y flujo.
+// minPaymentsAvg: mínimos promedio de los primeros periodos (flujo comprometido).
+// null si la oferta no es válida (ver buildConsolidationScenario).
+export function compareConsolidation(state, offer, options = {}) {
+  const scenario = buildConsolidationScenario(state, offer);
+  if (!scenario) return null;
+  const summarize = (result, fees) => {
+    const firstPeriods = result.periods.slice(0, 6);
+    return {
+      result,
+      freedomDate: result.freedomDate,
+      periodsToFreedom:
+        result.debtFreedomIndex !== null ? result.debtFreedomIndex + 1 : null,
+      totalInterestPaid: result.totalInterestPaid,
+      fees,
+      totalCost: result.totalInterestPaid + fees,
+      minPaymentsAvg: firstPeriods.length
+        ? firstPeriods.reduce((s, p) => s + p.paidMins, 0) / firstPeriods.length
+        : 0
+    };
+  };
+
+  return {
+    transferred: scenario.transferred,
+    fee: scenario.fee,
+    leftOver: scenario.leftOver,
+    creditLimit: scenario.creditLimit,
+    current: summarize(simulate(state, options), 0),
+    consolidated: summarize(simulate(scenario.state, options), scenario.fee)
+  };
+}
+
+// --- COMPARAR DOS PLANES (perfiles o snapshots) ---
+// Simula ambos estados, cada uno con su estrategia y frecuencia, y regresa las
+// diferencias de b respecto a a (positivo = b termina después / paga más).
+export function comparePlans(stateA, stateB) {
+  const summarize = (state) => {
+    const result = simulate(state);
+    return {
+      freedomDate: result.freedomDate,
+      periodsToFreedom:
+        result.debtFreedomIndex !== null ? result.debtFreedomIndex + 1 : null,
+      totalInterestPaid: result.totalInterestPaid,
+      totalPenalties: result.totalPenalties,
+      totalDebtStart: result.totalDebtStart
+    };
+  };
+  const a = summarize(stateA);
+  const b = summarize(stateB);
+
+  return {
+    a,
+    b,
+    freedomShiftDays:
+      a.freedomDate && b.freedomDate
+        ? daysBetween(a.freedomDate, b.freedomDate)
+        : null,
+    interestDiff: b.totalInterestPaid - a.totalInterestPaid,
+    penaltiesDiff: b.totalPenalties - a.totalPenalties,
+    debtStartDiff: b.totalDebtStart - a.totalDebtStart
+  };
+}
+
+// --- FECHA OBJETIVO DE LIBERTAD ---
+// Busca (bisección) el flujo adicional mínimo por periodo para que la deuda
+// quede en 0 a más tardar en targetDate con la estrategia del perfil. Ese mismo
+// monto se puede leer como ingreso extra o como recorte de gastos (primero
+// discrecional, luego gastos fijos).
+//
+// Cada intento corre simulate() completo, así que cuenta todo lo que el motor
+// modela. El recorte se mide contra el gasto base de cada periodo hasta la
+// fecha objetivo (baseFixed / baseDiscretionary de simulate): sólo es factible
+// si en todos esos periodos alcanza.
+//
+// Límite: el extra sólo adelanta saldo revolvente y créditos; las
+// mensualidades MSI vencen en su fecha. Si la última vence después de
+// targetDate el resultado es 'impossible' con installmentsBlock = true.
+//
+// Regresa:
+//   {
+//     status,               // 'onTrack' | 'solved' | 'impossible'
+//     extraPerPeriod,       // flujo adicional necesario (0 si ya se cumple)
+//     baselineFreedomDate,  // libertad con el plan actual
+//     solvedFreedomDate,    // libertad con el flujo adicional
+//     earliestFreedomDate,  // 'impossible': lo más pronto posible (o null)
+//     installmentsBlock,    // hay MSI pendientes después de targetDate
+//     minimumsExceedIncome, // el flujo actual no alcanza ni para los mínimos
+//     minimumsDeficit,      // cuánto falta por periodo para cubrir mínimos
+//     cutFromDiscretionary, cutFromFixed, // del primer periodo
+//     cutFeasible           // el recorte cabe en todos los periodos
+//   }
+export function solveForFreedomDate(state, targetDate, options = {}) {
+  const target = targetDate instanceof Date ? targetDate : dateFromYMD(targetDate);
+  const periodsPerYear = PAY_FREQUENCIES[state.payFrequency] || 24;
+  const meets = (result) =>
+    result.freedomDate !== null && result.freedomDate <= target;
+  // El extra entra como flujo fijo por periodo (no le aplican aumentos)
+  const maxPeriods = options.maxPeriods || getMaxPeriods(state.payFrequency);
+  const withExtra = (extra) =>
+    simulate(state, {
+      ...options,
+      shocks: new Array(maxPeriods).fill({
+        incomeFactor: 1,
+        expense: -extra,
+        label: ''
+      })
+    });
+
+  const baseline = simulate(state, options);
+
+  // Mínimos mensuales del primer ciclo, llevados a la frecuencia de pago
+  const monthlyMins = Object.values(baseline.minObligations).reduce(
+    (s, obs) => s + (obs[0] ? obs[0].monthlyMin : 0),
+    0
+  );
+  const base = getBaseCashflow(state, dateFromYMD(state.startDate));
+  const netCash = base.net - base.fixed - base.discretionary;
+  const minimumsDeficit = Math.max(
+    0,
+    (monthlyMins * 12) / periodsPerYear - netCash
+  );
+  const installmentsBlock = state.debts.some(
+    (d) => d.kind !== 'loan' && getInstallmentOutstanding(d, target) > 0
+  );
+
+  const report = (status, extra, result, earliest = null) => {
+    // Gasto recortable de cada periodo hasta la fecha objetivo
+    const periods = baseline.periods.filter((p) => p.date <= target);
+    const first = periods[0] || baseline.periods[0];
+    const cutFromDiscretionary = first
+      ? Math.min(extra || 0, first.baseDiscretionary)
+      : 0;
+    return {
+      status,
+      extraPerPeriod: extra,
+      baselineFreedomDate: baseline.freedomDate,
+      solvedFreedomDate: result ? result.freedomDate : null,
+      earliestFreedomDate: earliest,
+      installmentsBlock,
+      minimumsExceedIncome: minimumsDeficit > 0.5,
+      minimumsDeficit,
+      cutFromDiscretionary,
+      cutFromFixed: first
+        ? Math.min((extra || 0) - cutFromDiscretionary, first.baseFixed)
+        : 0,
+      cutFeasible:
+        extra !== null &&
+        periods.every((p) => extra <= p.baseDiscretionary + p.baseFixed + 0.5)
+    };
+  };
+
+  if (meets(baseline)) return report('onTrack', 0, baseline);
+
+  // Cota superior: pagar toda la deuda en el primer periodo. Compras nuevas,
+  // penalizaciones o tipo de cambio pueden pedir más: se duplica unas veces.
+  let hi = Math.max(1, baseline.totalDebtStart + minimumsDeficit);
+  let hiResult = withExtra(hi);
+  for (let i = 0; i < 4 && !meets(hiResult) && !installmentsBlock; i++) {
+    hi *= 2;
+    hiResult = withExtra(hi);
+  }
+  if (!meets(hiResult))
+    return report('impossible', null, null, hiResult.freedomDate);
+
+  let lo = 0;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) / 2;
+    const result = withExtra(mid);
+    if (meets(result)) {
+      hi = mid;
+      hiResult = result;
+    } else {
+      lo = mid;
+    }
+  }
+
+  return report('solved', Math.ceil(hi), hiResult);
+}
+
+// --- PRUEBA DE ESTRÉS (MONTE CARLO) ---
+// Generador pseudoaleatorio con semilla (mulberry32) para que una misma
+// configuración dé siempre el mismo reporte.
+function makeRandom(seed) {
+  let t = seed >>> 0;
+  return () => {
+    t = (t + 0x6d2b79f5) >>> 0;
+    let r = Math.imul(t ^ (t >>> 15), 1 | t);
+    r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Normal estándar (Box-Muller)
+function randomNormal(random) {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+function percentileOf(sorted, p) {
+  if (!sorted.length) return null;
+  const idx = Math.min(
+    sorted.length - 1,
+    Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)
+  );
+  return sorted[idx];
+}
+
+/**
+ * Corre el motor muchas veces con choques aleatorios por periodo:
+ *   - incomeVariability: desviación estándar del ingreso neto (%).
+ *   - shockProbability / shockAmount: probabilidad (%) por periodo de un gasto
+ *     imprevisto y su monto.
+ *   - missedPayProbability: probabilidad (%) por periodo de no cobrar.
+ *   - runs (default 200), seed.
+ *
+ * Un mínimo se considera incumplido cuando, al cierre de un periodo, queda
+ * saldo pendiente de una obligación ya vencida (remainingAfter > 0.5).
+ *
+ * Las corridas que no se liberan dentro del horizonte dejan de sumar intereses
+ * al final de la simulación: no entran a las estadísticas de intereses y se
+ * reportan aparte (cuántas son y cuánta deuda les queda).
+ *
+ * Se corre por tandas para no congelar la UI:
+ *
+ *     const test = createStressTest(state, options);
+ *     while (test.step(20) < test.runs);
+ *     test.report();
+ *
+ * report() regresa:
+ *   {
+ *     runs,
+ *     baseline,                // simulate() sin choques
+ *     freedomP10, freedomP50, freedomP90, // Date o null (no se libera)
+ *     neverFreeProbability,    // % de corridas que no terminan en el horizonte
+ *     unfinishedRuns,          // cuántas son
+ *     unfinishedDebtP50,       // deuda que les queda al final (mediana o null)
+ *     missMinimumProbability,  // % de corridas con al menos un mínimo incumplido
+ *     interestP50, worstInterest, // sólo corridas que se liberan (o null)
+ *     worstShortfall           // mayor faltante de mínimos vencidos en un periodo
+ *   }
+ */
+export function createStressTest(state, options = {}) {
+  const runs = Math.max(1, Math.round(options.runs || 200));
+  const incomeVariability = (options.incomeVariability || 0) / 100;
+  const shockProbability = (options.shockProbability || 0) / 100;
+  const shockAmount = options.shockAmount || 0;
+  const missedPayProbability = (options.missedPayProbability || 0) / 100;
+  const random = makeRandom(options.seed ?? 1);
+  const maxPeriods = getMaxPeriods(state.payFrequency);
+
+  const baseline = simulate(state);
+  const freedomTimes = [];
+  const interests = [];
+  const unfinishedDebts = [];
+  let done = 0;
+  let missedRuns = 0;
+  let worstShortfall = 0;
+
+  const runOnce = () => {
+    const shocks = [];
+    for (let i = 0; i < maxPeriods; i++) {
+      const labels = [];
+      let incomeFactor = Math.max(
+        0,
+        1 + incomeVariability * randomNormal(random)
+      );
+      if (random() < missedPayProbability) {
+        incomeFactor = 0;
+        labels.push('-Sin cobro');
+      }
+      let expense = 0;
+      if (random() < shockProbability) {
+        expense = shockAmount;
+        labels.push('-Imprevisto');
+      }
+      shocks.push({ incomeFactor, expense, label: labels.join(' ') });
+    }
+
+    const result = simulate(state, { shocks });
+    if (result.freedomDate) {
+      freedomTimes.push(result.freedomDate.getTime());
+      interests.push(result.totalInterestPaid);
+    } else {
+      const last = result.periods[result.periods.length - 1];
+      unfinishedDebts.push(last ? last.endBalance : result.totalDebtStart);
+    }
+
+    let missed = false;
+    result.periods.forEach((row) => {
+      row.minDetails.forEach((m) => {
+        const shortfall = m.components.remainingAfter;
+        if (shortfall > 0.5) {
+          missed = true;
+          worstShortfall = Math.max(worstShortfall, shortfall);
+        }
+      });
+    });
+    if (missed) missedRuns++;
+  };
+
+  // Corre hasta `count` corridas más; regresa cuántas van
+  const step = (count) => {
+    const until = Math.min(runs, done + Math.max(1, count));
+    for (; done < until; done++) runOnce();
+    return done;
+  };
+
+  const report = () => {
+    const neverFree = unfinishedDebts.length;
+    // Las corridas que nunca se liberan cuentan como "después de todo"
+    const sortedTimes = [...freedomTimes]
+      .sort((a, b) => a - b)
+      .concat(new Array(neverFree).fill(Infinity));
+    const toDate = (t) => (t === null || t === Infinity ? null : new Date(t));
+    const sortedInterest = [...interests].sort((a, b) => a - b);
+    const sortedDebts = [...unfinishedDebts].sort((a, b) => a - b);
+
+    return {
+      runs: done,
+      baseline,
+      freedomP10: toDate(percentileOf(sortedTimes, 10)),
+      freedomP50: toDate(percentileOf(sortedTimes, 50)),
+      freedomP90: toDate(percentileOf(sortedTimes, 90)),
+      neverFreeProbability: done ? (neverFree / done) * 100 : 0,
+      unfinishedRuns: neverFree,
+      unfinishedDebtP50: percentileOf(sortedDebts, 50),
+      missMinimumProbability: done ? (missedRuns / done) * 100 : 0,
+      interestP50: percentileOf(sortedInterest, 50),
+      worstInterest: sortedInterest.length
+        ? sortedInterest[sortedInterest.length - 1]
+        : null,
+      worstShortfall
+    };
+  };
+
+  return { runs, step, report };
+}
+
+// Todas las corridas de una vez (sin UI de por medio)
+export function runStressTest(state, options = {}) {
+  const test = createStressTest(state, options);
+  test.step(test.runs);
+  return test.report();
+}
@@ -0,0 +1,263 @@
+/**
+ * FREEDOM SIM - EXPORTADORES
+ *
+ * Generación de archivos CSV y XLSX en el navegador, sin DOM ni dependencias.
+ * Ambos reciben tablas como arreglos de filas:
+ *
+ *     [['Fecha', 'Saldo'], ['2026-01-15', 1234.5], ...]
+ *
+ * - Los números se escriben como números (para poder sumarlos en la hoja);
+ *   todo lo demás como texto.
+ * - XLSX: un libro mínimo de Office Open XML (una hoja por tabla) empacado en
+ *   un ZIP sin compresión. Excel, LibreOffice y Google Sheets lo abren.
+ */
+
+// --- CSV ---
+// Texto que empieza con = + - @ (o tabulador / retorno) Excel lo toma como
+// fórmula: conceptos importados del banco podrían ejecutarse al abrir el
+// archivo. Se antepone ' para que quede como texto.
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number')
+    return Number.isFinite(value) ? String(value) : '';
+  let s = String(value);
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// El BOM hace que Excel reconozca UTF-8 (acentos, ñ)
+export function toCSV(rows) {
+  const lines = rows.map((row) => row.map(csvCell).join(','));
+  return '\uFEFF' + lines.join('\r\n');
+}
+
+// --- ZIP (sólo "store", suficiente para XLSX) ---
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++)
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// files = [{ name, data: Uint8Array }] -> Uint8Array del .zip
+function buildZip(files) {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  const central = [];
+  let offset = 0;
+
+  files.forEach((file) => {
+    const name = encoder.encode(file.name);
+    const crc = crc32(file.data);
+    const size = file.data.length;
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true); // versión mínima
+    local.setUint16(12, 0x21, true); // fecha DOS: 1980-01-01
+    local.setUint32(14, crc, true);
+    local.setUint32(18, size, true);
+    local.setUint32(22, size, true);
+    local.setUint16(26, name.length, true);
+    chunks.push(new Uint8Array(local.buffer), name, file.data);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true);
+    entry.setUint16(4, 20, true);
+    entry.setUint16(6, 20, true);
+    entry.setUint16(14, 0x21, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, size, true);
+    entry.setUint32(24, size, true);
+    entry.setUint16(28, name.length, true);
+    entry.setUint32(42, offset, true);
+    central.push(new Uint8Array(entry.buffer), name);
+
+    offset += 30 + name.length + size;
+  });
+
+  const centralSize = central.reduce((sum, c) => sum + c.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...chunks, ...central, new Uint8Array(end.buffer)];
+  const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+  let pos = 0;
+  parts.forEach((p) => {
+    out.set(p, pos);
+    pos += p.length;
+  });
+  return out;
+}
+
+// --- XLSX ---
+const escapeXml = (s) =>
+  String(s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Caracteres de control no válidos en XML 1.0
+    .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '');
+
+// 0 -> A, 25 -> Z, 26 -> AA
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26))
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  return name;
+}
+
+// Excel limita el nombre de hoja a 31 caracteres, sin []:*?/\ y sin repetir
+function sheetNames(names) {
+  const used = new Set();
+  return names.map((raw, i) => {
+    const base =
+      String(raw || '')
+        .replace(/[[\]:*?/\\]/g, ' ')
+        .trim()
+        .slice(0, 31) || `Hoja ${i + 1}`;
+    let name = base;
+    for (let n = 2; used.has(name.toLowerCase()); n++)
+      name = `${base.slice(0, 31 - String(n).length - 1)} ${n}`;
+    used.add(name.toLowerCase());
+    return name;
+  });
+}
+
+// Estilos: 0 = normal, 1 = número con miles y 2 decimales, 2 = encabezado
+const STYLES_XML =
+  '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+  '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+  '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font>' +
+  '<font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+  '<fills count="2"><fill><patternFill patternType="none"/></fill>' +
+  '<fill><patternFill patternType="gray125"/></fill></fills>' +
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="3">' +
+  '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+  '<xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+  '</cellXfs></styleSheet>';
+
+// La primera fila de cada hoja se trata como encabezado (negritas, fija).
+// Los números de plainColumns (p. ej. el # de periodo) van sin formato.
+function sheetXml(rows, plainColumns = []) {
+  const body = rows
+    .map((row, r) => {
+      const cells = row
+        .map((value, c) => {
+          const ref = `${columnName(c)}${r + 1}`;
+          if (value === null || value === undefined || value === '')
+            return '';
+          if (typeof value === 'number' && Number.isFinite(value)) {
+            const style = plainColumns.includes(c) ? 0 : 1;
+            return `<c r="${ref}" s="${style}"><v>${value}</v></c>`;
+          }
+          return `<c r="${ref}" t="inlineStr"${
+            r === 0 ? ' s="2"' : ''
+          }><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+        })
+        .join('');
+      return `<row r="${r + 1}">${cells}</row>`;
+    })
+    .join('');
+
+  return (
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<sheetViews><sheetView workbookViewId="0">' +
+    '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>' +
+    '</sheetView></sheetViews>' +
+    `<sheetData>${body}</sheetData></worksheet>`
+  );
+}
+
+// sheets = [{ name, rows, plainColumns }] -> Uint8Array con el .xlsx
+export function buildXLSX(sheets) {
+  const encoder = new TextEncoder();
+  const names = sheetNames(sheets.map((s) => s.name));
+  const ids = sheets.map((_, i) => i + 1);
+
+  const files = [
+    {
+      name: '[Content_Types].xml',
+      data:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        ids
+          .map(
+            (id) =>
+              `<Override PartName="/xl/worksheets/sheet${id}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+          )
+          .join('') +
+        '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      data:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      data:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        '<sheets>' +
+        ids
+          .map(
+            (id, i) =>
+              `<sheet name="${escapeXml(names[i])}" sheetId="${id}" r:id="rId${id}"/>`
+          )
+          .join('') +
+        '</sheets></workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        ids
+          .map(
+            (id) =>
+              `<Relationship Id="rId${id}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${id}.xml"/>`
+          )
+          .join('') +
+        `<Relationship Id="rId${
+          sheets.length + 1
+        }" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+        '</Relationships>'
+    },
+    { name: 'xl/styles.xml', data: STYLES_XML },
+    ...sheets.map((sheet, i) => ({
+      name: `xl/worksheets/sheet${ids[i]}.xml`,
+      data: sheetXml(sheet.rows, sheet.plainColumns)
+    }))
+  ];
+
+  return buildZip(
+    files.map((f) => ({ name: f.name, data: encoder.encode(f.data) }))
+  );
+}
@@ -0,0 +1,296 @@
+/**
+ * FREEDOM SIM - IMPORTADORES
+ *
+ * Lectura de estados de cuenta bancarios (CSV y OFX/QFX) sin DOM. Todo se
+ * convierte a una lista de movimientos:
+ *
+ *     { date: 'YYYY-MM-DD', description, amount, balance }
+ *
+ * - amount > 0: abono (entra dinero a la cuenta / pago a la tarjeta).
+ * - amount < 0: cargo (compra, retiro, comisión).
+ * - balance: saldo de la cuenta después del movimiento (o null).
+ *
+ * CSV: cada banco exporta columnas distintas; guessCsvMapping propone un mapeo
+ * a partir de los encabezados (Fecha, Concepto, Cargo, Abono, Importe, Saldo)
+ * y la UI deja corregirlo antes de leer las filas.
+ */
+
+const MONTHS_ES = {
+  ene: 1,
+  feb: 2,
+  mar: 3,
+  abr: 4,
+  may: 5,
+  jun: 6,
+  jul: 7,
+  ago: 8,
+  sep: 9,
+  set: 9,
+  oct: 10,
+  nov: 11,
+  dic: 12
+};
+
+const pad2 = (n) => String(n).padStart(2, '0');
+
+// Fechas de bancos mexicanos: DD/MM/YYYY, DD-MM-YY, YYYY-MM-DD, 15-ene-2026,
+// YYYYMMDD (OFX). Regresa 'YYYY-MM-DD' o null.
+export function parseBankDate(str) {
+  const s = String(str || '').trim().toLowerCase();
+  if (!s) return null;
+
+  let y, m, d;
+  const compact = s.match(/^(\d{4})(\d{2})(\d{2})/);
+  const isoLike = s.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})/);
+  const dayFirst = s.match(/^(\d{1,2})[-/ ](\d{1,2})[-/ ](\d{2,4})/);
+  const monthName = s.match(
+    /^(\d{1,2})[-/ ]([a-zé]{3})[a-zé]*\.?[-/ ](\d{2,4})/
+  );
+  if (compact) {
+    [, y, m, d] = compact.map(Number);
+  } else if (isoLike) {
+    [, y, m, d] = isoLike.map(Number);
+  } else if (dayFirst) {
+    [, d, m, y] = dayFirst.map(Number);
+  } else if (monthName) {
+    d = Number(monthName[1]);
+    m = MONTHS_ES[monthName[2]];
+    y = Number(monthName[3]);
+  } else {
+    return null;
+  }
+
+  if (y < 100) y += 2000;
+  if (!m || m > 12 || !d || d > 31) return null;
+  return `${y}-${pad2(m)}-${pad2(d)}`;
+}
+
+// "$1,234.56", "$-1,234.56", "MXN -500", "(1,234.56)", "1,234.56-",
+// "1234.56 MXN" -> número (o null)
+export function parseBankAmount(str) {
+  // Sin símbolos de moneda, letras ni espacios: el signo queda junto al número
+  // (los puntos sueltos de "M.N." también se van)
+  const raw = String(str ?? '')
+    .replace(/[^0-9.,()-]/g, '')
+    .replace(/\.(?!\d)/g, '');
+  if (!raw) return null;
+  const negative =
+    /^\(.*\)$/.test(raw) || /^-\.?\d/.test(raw) || /\d-$/.test(raw);
+  const cleaned = raw.replace(/[^0-9.]/g, '');
+  if (!cleaned) return null;
+  const value = parseFloat(cleaned);
+  if (isNaN(value)) return null;
+  return negative ? -value : value;
+}
+
+// --- CSV ---
+// Se cuentan las primeras líneas y no sólo la primera: varios bancos ponen
+// antes de la tabla un título o el número de cuenta sin separadores.
+function detectDelimiter(lines) {
+  const sample = lines.slice(0, 20).join('\n');
+  const counts = [',', ';', '\t', '|'].map((d) => [
+    d,
+    sample.split(d).length - 1
+  ]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] > 0 ? counts[0][0] : ',';
+}
+
+// Filas de un CSV (respeta comillas, "" escapadas y saltos CRLF)
+export function parseCSV(text, delimiter = null) {
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  const delim = delimiter || detectDelimiter(src.split(/\r?\n/));
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === delim) {
+      row.push(field.trim());
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field.trim());
+      if (row.some((c) => c !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  row.push(field.trim());
+  if (row.some((c) => c !== '')) rows.push(row);
+
+  return rows;
+}
+
+// Columnas conocidas -> índice (o null). amount = columna única con signo;
+// debit / credit = columnas separadas de cargo y abono.
+const CSV_COLUMN_PATTERNS = {
+  date: /fecha|date/i,
+  description: /descrip|concepto|detalle|movimiento|referencia|memo|name/i,
+  debit: /cargo|retiro|d[eé]bito|debit/i,
+  credit: /abono|dep[oó]sito|credit/i,
+  amount: /importe|monto|amount|cantidad/i,
+  balance: /saldo|balance/i
+};
+
+// Algunos bancos ponen datos de la cuenta antes de la tabla: el encabezado es
+// la primera fila con una columna de fecha y otra de importe conocidas.
+export function findHeaderRow(rows) {
+  const idx = rows.findIndex(
+    (row) =>
+      row.some((h) => CSV_COLUMN_PATTERNS.date.test(h)) &&
+      row.some(
+        (h) =>
+          CSV_COLUMN_PATTERNS.amount.test(h) ||
+          CSV_COLUMN_PATTERNS.debit.test(h) ||
+          CSV_COLUMN_PATTERNS.credit.test(h)
+      )
+  );
+  return idx >= 0 ? idx : 0;
+}
+
+export function guessCsvMapping(header) {
+  const mapping = {
+    date: null,
+    description: null,
+    amount: null,
+    debit: null,
+    credit: null,
+    balance: null,
+    invertSign: false
+  };
+  const used = new Set();
+  Object.keys(CSV_COLUMN_PATTERNS).forEach((key) => {
+    const idx = header.findIndex(
+      (h, i) => !used.has(i) && CSV_COLUMN_PATTERNS[key].test(h)
+    );
+    if (idx >= 0) {
+      mapping[key] = idx;
+      used.add(idx);
+    }
+  });
+  // Sin encabezados reconocibles: fecha, concepto, importe
+  if (mapping.date === null) mapping.date = 0;
+  if (mapping.description === null && header.length > 1)
+    mapping.description = 1;
+  const hasAmount = ['amount', 'debit', 'credit'].some(
+    (key) => mapping[key] !== null
+  );
+  if (!hasAmount) mapping.amount = Math.min(2, header.length - 1);
+  return mapping;
+}
+
+// Filas (sin encabezado) -> movimientos según el mapeo. Las filas sin fecha o
+// sin importe válido se descartan (totales, notas del banco, etc.).
+export function mapCsvRows(rows, mapping) {
+  const cell = (row, idx) =>
+    idx === null || idx === undefined || idx === '' ? '' : row[idx];
+  const transactions = [];
+
+  rows.forEach((row) => {
+    const date = parseBankDate(cell(row, mapping.date));
+    if (!date) return;
+
+    let amount = null;
+    if (mapping.amount !== null && mapping.amount !== undefined) {
+      amount = parseBankAmount(cell(row, mapping.amount));
+    } else {
+      const debit = parseBankAmount(cell(row, mapping.debit));
+      const credit = parseBankAmount(cell(row, mapping.credit));
+      if (debit !== null || credit !== null)
+        amount = Math.abs(credit || 0) - Math.abs(debit || 0);
+    }
+    if (amount === null || Math.abs(amount) < 0.005) return;
+    if (mapping.invertSign) amount = -amount;
+
+    transactions.push({
+      date,
+      description: cell(row, mapping.description) || '',
+      amount,
+      balance: parseBankAmount(cell(row, mapping.balance))
+    });
+  });
+
+  return transactions;
+}
+
+// --- OFX / QFX (SGML o XML) ---
+function ofxTag(block, tag) {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? match[1].trim() : '';
+}
+
+/**
+ * Regresa:
+ *   {
+ *     transactions,      // movimientos (mismo formato que el CSV)
+ *     balance,           // { amount, date } de LEDGERBAL (o null)
+ *     isCreditCard       // archivo de tarjeta (CREDITCARDMSGSRSV1)
+ *   }
+ */
+export function parseOFX(text) {
+  const src = String(text || '');
+  const transactions = [];
+  const blocks =
+    src.match(
+      /<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi
+    ) || [];
+
+  blocks.forEach((block) => {
+    const date = parseBankDate(ofxTag(block, 'DTPOSTED'));
+    const amount = parseBankAmount(ofxTag(block, 'TRNAMT'));
+    if (!date || amount === null) return;
+    const name = ofxTag(block, 'NAME');
+    const memo = ofxTag(block, 'MEMO');
+    transactions.push({
+      date,
+      description: [name, memo].filter(Boolean).join(' · '),
+      amount,
+      balance: null
+    });
+  });
+
+  const ledgerBal = src.match(
+    /<LEDGERBAL>[\s\S]*?(?=<\/LEDGERBAL>|<AVAILBAL>|$)/i
+  );
+  const balAmount = ledgerBal
+    ? parseBankAmount(ofxTag(ledgerBal[0], 'BALAMT'))
+    : null;
+
+  return {
+    transactions,
+    balance:
+      balAmount !== null
+        ? {
+            amount: balAmount,
+            date: parseBankDate(ofxTag(ledgerBal[0], 'DTASOF'))
+          }
+        : null,
+    isCreditCard: /<CREDITCARDMSGSRSV1>/i.test(src)
+  };
+}
+
+// Texto ajeno (descripciones del banco, nombres capturados) antes de meterlo a
+// innerHTML
+export const escapeHtml = (val) =>
+  String(val ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
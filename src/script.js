@@ -1,42 +1,44 @@
 import Chart from 'chart.js/auto';
+import {
+  compareConsolidation,
+  comparePlans,
+  comparePlanVsActual,
+  compareStrategies,
+  compareYMD,
+  createStressTest,
+  dateFromYMD,
+  deepClone,
+  formatDateShort,
+  getBaseCashflow,
+  getFxRate,
+  getGoalProjections,
+  getInstallmentOutstanding,
+  getItemSchedule,
+  getScheduledPayment,
+  getNextOccurrence,
+  getRateTimeline,
+  normalizeState,
+  orderDebtsByStrategy,
+  simulate,
+  solveForFreedomDate
+} from './engine.js';
+import { buildXLSX, toCSV } from './exporters.js';
+import {
+  escapeHtml,
+  findHeaderRow,
+  guessCsvMapping,
+  mapCsvRows,
+  parseCSV,
+  parseOFX
+} from './importers.js';
 
 /**
- * FREEDOM SIM - LOGIC V8.5 (Vue/Vite)
+ * FREEDOM SIM - UI V8.5 (Vue/Vite)
  *
- * Cambio central:
- * - Cada tarjeta tiene:
- *   - monthlyMin: pago mínimo mensual REAL (estado de cuenta).
- *   - dueDay: día de vencimiento (1–31).
- *
- * Modelo de mínimos:
- * - Para cada tarjeta generamos una secuencia de "obligaciones" mensuales:
- *   { dueDate, amountRemaining, monthlyMin, banxicoBaseMin }
- * - La primera obligación se coloca en el "próximo vencimiento" >= fecha inicio.
- * - Cuando se sobrepasa un dueDate y todavía hay saldo en la tarjeta, se crea
- *   la obligación del siguiente ciclo (mismo día en el mes siguiente).
- * - En cada periodo (quincena):
- *   - Calculamos intereses quincenales + IVA sobre el saldo.
- *   - Pagamos mínimos primero:
- *       * Siempre contra las obligaciones con dueDate más cercano (ordenado).
- *       * Podemos adelantar obligaciones futuras, pero el desglose distingue
- *         entre lo que YA debería estar cubierto vs lo que es anticipo.
- *   - El excedente se aplica según la estrategia (snowball, avalanche, etc.).
- *
- * Seguridad:
- * - El "mínimo mensual" usado por el simulador es:
- *       max( monthlyMin_real, aproximación_Banxico_mensual )
- *   con una aproximación mensual de Banxico:
- *       baseMin = max(1.5% saldo + intereses_mes + IVA, 1.25% límite)
- *       y acotado a saldo + intereses.
- *
- * - Esto garantiza que:
- *   * Nunca se subestima el pago mínimo (caso Didi: 1671).
- *   * El sim no sugiere planes que paguen menos de lo que exige el banco.
- *
- * Per-card schedule:
- * - cardHistories[debt.id] almacena por quincena:
- *   { date, dateLabel, startingBalance, interest, iva, minPaid, extraPaid, endingBalance }
- * - Se usa para mostrar progreso y calendario de pagos al abrir la tarjeta.
+ * Capa de presentación: estado en localStorage, listas, modales y tabla.
+ * Toda la lógica de simulación vive en engine.js (ver su encabezado para el
+ * modelo de mínimos mensuales y el historial por tarjeta); aquí sólo se pinta
+ * el resultado de simulate().
  */
 
 // --- DATOS POR DEFECTO ---
@@ -104,9 +106,44 @@ let currentProfileId = null;
 let state = null;
 let editingIndex = null;
 let editingType = null;
+let editingInstallments = []; // planes MSI de la deuda abierta en el modal
+let editingRateSegments = []; // cambios de tasa de la deuda abierta en el modal
 let simulationResults = [];
 let cardHistories = {};
+let goalProjections = {}; // goalId -> proyección de la última simulación
 let surplusChart = null;
+let compareChart = null;
+let undoStack = []; // estados previos del perfil actual (en memoria)
+let redoStack = [];
+let lastChangeRecord = null; // para agrupar tecleo continuo en un solo paso
+let importData = null; // archivo bancario en vista previa (modal de importar)
+let stressTest = null; // prueba de estrés en curso (se corre por tandas)
+
+// Etiquetas cortas y colores para el comparativo de estrategias
+const STRATEGY_LABELS = {
+  snowball: '❄️ Bola de Nieve',
+  avalanche: '🏔️ Avalancha',
+  highMin: '📌 Mayor Pago Mínimo',
+  reverseSnowball: '🐢 Saldo Más Grande',
+  flat: '⚖️ Proporcional',
+  custom: '✋ Personalizado'
+};
+const STRATEGY_COLORS = {
+  snowball: '#38bdf8',
+  avalanche: '#818cf8',
+  highMin: '#fbbf24',
+  reverseSnowball: '#f87171',
+  flat: '#4ade80',
+  custom: '#e879f9'
+};
+
+// Etiquetas por frecuencia de pago (ver PAY_FREQUENCIES en engine.js)
+const PAY_FREQUENCY_LABELS = {
+  weekly: { name: 'Semanal', unit: 'semana', units: 'semanas' },
+  biweekly: { name: 'Catorcenal', unit: 'catorcena', units: 'catorcenas' },
+  quincenal: { name: 'Quincenal', unit: 'quincena', units: 'quincenas' },
+  monthly: { name: 'Mensual', unit: 'mes', units: 'meses' }
+};
 
 // Utils
 const $ = (id) => document.getElementById(id);
@@ -114,186 +151,13 @@ const formatMoney = (val) =>
   new Intl.NumberFormat('es-MX', { style: 'currency', currency: 'MXN' }).format(
     val ?? 0
   );
-const deepClone = (obj) => JSON.parse(JSON.stringify(obj));
-
-// --- DATE HELPERS (safe for YYYY-MM-DD strings) ---
-function parseYMD(str) {
-  if (!str) return null;
-  const [y, m, d] = str.split('-').map(Number);
-  if (!y || !m || !d) return null;
-  return { year: y, month: m, day: d };
-}
-
-function compareYMD(aStr, bStr) {
-  const a = parseYMD(aStr);
-  const b = parseYMD(bStr);
-  if (!a || !b) return 0;
-  if (a.year !== b.year) return a.year - b.year;
-  if (a.month !== b.month) return a.month - b.month;
-  return a.day - b.day;
-}
-
-function dateFromYMD(str) {
-  const p = parseYMD(str);
-  if (!p) return new Date();
-  return new Date(p.year, p.month - 1, p.day);
-}
-
-function formatDateShort(dateObj) {
-  if (typeof dateObj === 'string') {
-    dateObj = dateFromYMD(dateObj);
-  }
-  return dateObj.toLocaleDateString('es-MX', {
-    day: 'numeric',
-    month: 'short',
-    year: '2-digit'
-  });
-}
-
-// YearMonth key, e.g. 202512 (se deja por compatibilidad, aunque ya no se usa mucho)
-function getYearMonthKey(dateObj) {
-  const y = dateObj.getFullYear();
-  const m = dateObj.getMonth() + 1;
-  return y * 100 + m;
-}
-
-// Crear fecha (año, mesIndex 0-based, día deseado, acotando al último día del mes)
-function makeDueDate(year, monthIndex0, dueDay) {
-  const lastDay = new Date(year, monthIndex0 + 1, 0).getDate();
-  const d = Math.min(dueDay, lastDay);
-  return new Date(year, monthIndex0, d);
-}
-
-// Día de vencimiento por defecto si el usuario no captura uno
-function getDueDayOrDefault(debt) {
-  const raw = parseInt(debt.dueDay, 10);
-  if (!isNaN(raw) && raw > 0) return Math.min(raw, 31);
-  // Por defecto usar algo razonable (25)
-  return 25;
-}
-
-// Primer dueDate >= fecha de inicio
-function getFirstDueDate(simStartDate, debt) {
-  const dueDay = getDueDayOrDefault(debt);
-  const y0 = simStartDate.getFullYear();
-  const m0 = simStartDate.getMonth();
-
-  let candidate = makeDueDate(y0, m0, dueDay);
-  if (candidate >= simStartDate) return candidate;
-
-  let y = y0;
-  let m = m0 + 1;
-  if (m > 11) {
-    m = 0;
-    y++;
-  }
-  return makeDueDate(y, m, dueDay);
-}
-
-// Aproximación de componentes Banxico para un MES (referencial)
-function computeBanxicoMonthlyComponents(prevBalance, annualRate, creditLimit) {
-  if (!prevBalance || prevBalance <= 0 || !annualRate || annualRate <= 0) {
-    return {
-      prevBalance: prevBalance || 0,
-      monthlyInterest: 0,
-      monthlyIVA: 0,
-      base1p5: 0,
-      optionA: 0,
-      optionB: 0,
-      baseMin: 0
-    };
-  }
-
-  const monthlyInterest = (prevBalance * (annualRate / 100)) / 12;
-  const monthlyIVA = monthlyInterest * 0.16;
-  const base1p5 = 0.015 * prevBalance;
-  const optionA = base1p5 + monthlyInterest + monthlyIVA;
-
-  let optionB = 0;
-  if (creditLimit && creditLimit > 0) {
-    optionB = 0.0125 * creditLimit;
-  }
-
-  let baseMin = Math.max(optionA, optionB);
-  const maxPossible = prevBalance + monthlyInterest + monthlyIVA;
-  if (baseMin > maxPossible) baseMin = maxPossible;
-
-  return {
-    prevBalance,
-    monthlyInterest,
-    monthlyIVA,
-    base1p5,
-    optionA,
-    optionB,
-    baseMin
-  };
-}
-
-// Normalization
-function normalizeState(data) {
-  const s = deepClone(data || {});
-
-  if (!Array.isArray(s.deductions)) s.deductions = [];
-  if (!Array.isArray(s.fixedExpenses)) s.fixedExpenses = [];
-  if (!Array.isArray(s.debts)) s.debts = [];
-  if (!Array.isArray(s.events)) s.events = [];
-  if (!Array.isArray(s.goals)) s.goals = [];
-
-  s.grossIncome = parseFloat(s.grossIncome) || 0;
-  s.discretionary = parseFloat(s.discretionary) || 0;
-  s.strategy = s.strategy || 'snowball';
-
-  s.deductions = s.deductions.map((d) => ({
-    name: d.name || '',
-    amount: parseFloat(d.amount) || 0
-  }));
-
-  s.fixedExpenses = s.fixedExpenses.map((e) => ({
-    name: e.name || '',
-    amount: parseFloat(e.amount) || 0
-  }));
-
-  s.debts = s.debts.map((d, idx) => ({
-    id: d.id !== undefined && d.id !== null ? d.id : idx + 1,
-    name: d.name || `Deuda ${idx + 1}`,
-    balance: parseFloat(d.balance) || 0,
-    rate: parseFloat(d.rate) || 0,
-    creditLimit:
-      d.creditLimit !== undefined && d.creditLimit !== null
-        ? parseFloat(d.creditLimit) || null
-        : null,
-    monthlyMin:
-      d.monthlyMin !== undefined && d.monthlyMin !== null
-        ? parseFloat(d.monthlyMin) || 0
-        : 0,
-    dueDay:
-      d.dueDay !== undefined && d.dueDay !== null && d.dueDay !== ''
-        ? parseInt(d.dueDay, 10) || null
-        : null
-  }));
-
-  const todayStr = new Date().toISOString().split('T')[0];
-
-  s.events = s.events.map((ev, idx) => ({
-    id: ev.id !== undefined && ev.id !== null ? ev.id : idx + 1,
-    name: ev.name || `Evento ${idx + 1}`,
-    date: ev.date || todayStr,
-    amount: parseFloat(ev.amount) || 0,
-    type: ev.type === 'expense' ? 'expense' : 'income'
-  }));
-
-  s.goals = s.goals.map((g, idx) => ({
-    id: g.id !== undefined && g.id !== null ? g.id : idx + 1,
-    name: g.name || `Meta ${idx + 1}`,
-    targetAmount: parseFloat(g.targetAmount) || 0,
-    startingSaved: parseFloat(g.startingSaved ?? g.saved ?? 0) || 0,
-    priority: parseInt(g.priority ?? idx + 1, 10) || idx + 1
-  }));
-
-  if (!s.startDate) s.startDate = todayStr;
-
-  return s;
-}
+// Montos de una deuda en su propia moneda (USD, EUR, ...)
+const formatCurrency = (val, currency = 'MXN') =>
+  currency === 'MXN'
+    ? formatMoney(val)
+    : new Intl.NumberFormat('es-MX', { style: 'currency', currency }).format(
+        val ?? 0
+      );
 
 // Load / Save
 function loadApp() {
@@ -328,6 +192,7 @@ function loadApp() {
   saveAll();
   initUI();
   setupProfileImportListener();
+  setupHistoryShortcuts();
 }
 
 function saveAll() {
@@ -353,11 +218,25 @@ function initUI() {
   $('startDate').value = state.startDate;
   $('grossIncome').value = state.grossIncome;
   $('discretionary').value = state.discretionary;
+  $('annualRaisePct').value = state.annualRaisePct || '';
+  $('raiseMonth').value = state.raiseMonth;
+  $('expenseInflationPct').value = state.expenseInflationPct || '';
   $('strategySelect').value = state.strategy;
+  $('payFrequency').value = state.payFrequency;
+  $('surplusPolicy').value = state.surplusPolicy;
+  $('surplusGoalFloor').value = state.surplusGoalFloor || '';
+  $('surplusGoalPct').value = state.surplusGoalPct || '';
 
   $('startDate').onchange = (e) => {
     state.startDate = e.target.value;
     saveAndRun();
+    renderLists();
+  };
+  $('payFrequency').onchange = (e) => {
+    state.payFrequency = e.target.value;
+    renderPeriodLabels();
+    saveAndRun();
+    renderLists();
   };
   $('grossIncome').oninput = (e) => {
     state.grossIncome = parseFloat(e.target.value) || 0;
@@ -367,17 +246,78 @@ function initUI() {
     state.discretionary = parseFloat(e.target.value) || 0;
     saveAndRun();
   };
+  $('annualRaisePct').oninput = (e) => {
+    state.annualRaisePct = parseFloat(e.target.value) || 0;
+    saveAndRun();
+  };
+  $('raiseMonth').onchange = (e) => {
+    state.raiseMonth = parseInt(e.target.value, 10) || 1;
+    saveAndRun();
+  };
+  $('expenseInflationPct').oninput = (e) => {
+    state.expenseInflationPct = parseFloat(e.target.value) || 0;
+    saveAndRun();
+  };
   $('strategySelect').onchange = (e) => {
     state.strategy = e.target.value;
     saveAndRun();
+    renderDebts();
+  };
+  $('surplusPolicy').onchange = (e) => {
+    state.surplusPolicy = e.target.value;
+    renderSurplusPolicyFields();
+    saveAndRun();
+    renderGoals();
+  };
+  $('surplusGoalFloor').oninput = (e) => {
+    state.surplusGoalFloor = parseFloat(e.target.value) || 0;
+    saveAndRun();
+  };
+  $('surplusGoalPct').oninput = (e) => {
+    state.surplusGoalPct = Math.min(
+      100,
+      Math.max(0, parseFloat(e.target.value) || 0)
+    );
+    saveAndRun();
   };
 
+  renderPeriodLabels();
+  renderSurplusPolicyFields();
   renderLists();
+  renderHistoryButtons();
   runSimulation();
 }
 
+// Mostrar sólo el parámetro que usa la política de excedente elegida
+function renderSurplusPolicyFields() {
+  $('surplusGoalFloorField').style.display =
+    state.surplusPolicy === 'goalsFirst' ? '' : 'none';
+  $('surplusGoalPctField').style.display =
+    state.surplusPolicy === 'split' ? '' : 'none';
+}
+
+// Etiquetas de periodo según la frecuencia de pago del perfil
+function getPeriodLabels() {
+  return (
+    PAY_FREQUENCY_LABELS[state.payFrequency] || PAY_FREQUENCY_LABELS.quincenal
+  );
+}
+
+function renderPeriodLabels() {
+  const labels = getPeriodLabels();
+  document.querySelectorAll('.period-name').forEach((el) => {
+    el.textContent = labels.name;
+  });
+  document.querySelectorAll('.period-unit').forEach((el) => {
+    el.textContent = labels.unit;
+  });
+}
+
 function switchProfile(id) {
   currentProfileId = id;
+  undoStack = [];
+  redoStack = [];
+  lastChangeRecord = null;
   const p = profiles.find((x) => x.id === id);
   state = normalizeState(p.data);
   saveAll();
@@ -385,11 +325,537 @@ function switchProfile(id) {
 }
 
 function saveAndRun() {
+  recordChange();
   saveAll();
   renderSummary();
   runSimulation();
 }
 
+// UNDO / REDO + HISTORIAL DE CAMBIOS
+const MAX_UNDO_STEPS = 100;
+const MAX_CHANGE_LOG = 200;
+// Cambios al mismo campo dentro de esta ventana (tecleo) son un solo paso
+const CHANGE_MERGE_MS = 1500;
+
+const PROFILE_FIELD_LABELS = {
+  startDate: 'Fecha de inicio',
+  payFrequency: 'Frecuencia de pago',
+  grossIncome: 'Sueldo bruto',
+  discretionary: 'Discrecional',
+  strategy: 'Estrategia',
+  customOrder: 'Orden personalizado',
+  surplusPolicy: 'Excedente',
+  surplusGoalFloor: 'Piso de ahorro',
+  surplusGoalPct: '% a metas',
+  annualRaisePct: 'Aumento anual',
+  raiseMonth: 'Mes del aumento',
+  expenseInflationPct: 'Inflación anual',
+  fxRates: 'Tipo de cambio'
+};
+const LIST_LABELS = {
+  deductions: 'deducción',
+  fixedExpenses: 'gasto fijo',
+  debts: 'deuda',
+  goals: 'meta',
+  events: 'evento',
+  ledger: 'registro real'
+};
+const ITEM_FIELD_LABELS = {
+  name: 'nombre',
+  amount: 'monto',
+  balance: 'saldo',
+  rate: 'tasa',
+  creditLimit: 'límite',
+  monthlyMin: 'mínimo',
+  dueDay: 'día de pago',
+  cutoffDay: 'día de corte',
+  kind: 'tipo',
+  currency: 'moneda',
+  termMonths: 'plazo',
+  loanPayment: 'pago',
+  installments: 'MSI',
+  rateSchedule: 'cambios de tasa',
+  periodSpend: 'compras',
+  targetAmount: 'objetivo',
+  startingSaved: 'ahorrado',
+  priority: 'prioridad',
+  deadline: 'fecha límite',
+  date: 'fecha',
+  startDate: 'desde',
+  endDate: 'hasta',
+  remainingPayments: 'pagos restantes',
+  growthPct: 'aumento anual'
+};
+
+function formatChangeValue(v) {
+  if (v === null || v === undefined || v === '') return '—';
+  if (typeof v === 'number')
+    return v.toLocaleString('es-MX', { maximumFractionDigits: 2 });
+  if (typeof v === 'boolean') return v ? 'sí' : 'no';
+  return String(v);
+}
+
+// Diferencias legibles entre dos estados: [{ path, text }]
+function describeStateChanges(prev, next) {
+  const changes = [];
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+  const keys = new Set([
+    ...Object.keys(prev || {}),
+    ...Object.keys(next || {})
+  ]);
+
+  keys.forEach((key) => {
+    const a = prev?.[key];
+    const b = next?.[key];
+    if (same(a, b)) return;
+
+    if (LIST_LABELS[key]) {
+      const listLabel = LIST_LABELS[key];
+      const before = a || [];
+      const after = b || [];
+      const keyOf = (item, i) => (item.id !== undefined ? item.id : i);
+      const nameOf = (item, i) => item.name || item.date || `#${i + 1}`;
+
+      after.forEach((item, i) => {
+        const old = before.find((o, j) => keyOf(o, j) === keyOf(item, i));
+        if (!old) {
+          changes.push({
+            path: `${key}.${keyOf(item, i)}`,
+            text: `Alta de ${listLabel}: ${nameOf(item, i)}`
+          });
+          return;
+        }
+        Object.keys({ ...old, ...item }).forEach((field) => {
+          if (same(old[field], item[field])) return;
+          const label = ITEM_FIELD_LABELS[field] || field;
+          const isObject =
+            typeof item[field] === 'object' && item[field] !== null;
+          changes.push({
+            path: `${key}.${keyOf(item, i)}.${field}`,
+            text: isObject
+              ? `${nameOf(item, i)} ${label} modificado`
+              : `${nameOf(item, i)} ${label} ${formatChangeValue(
+                  old[field]
+                )} → ${formatChangeValue(item[field])}`
+          });
+        });
+      });
+      before.forEach((item, i) => {
+        if (!after.some((n, j) => keyOf(n, j) === keyOf(item, i))) {
+          changes.push({
+            path: `${key}.${keyOf(item, i)}`,
+            text: `Baja de ${listLabel}: ${nameOf(item, i)}`
+          });
+        }
+      });
+      return;
+    }
+
+    const label = PROFILE_FIELD_LABELS[key] || key;
+    changes.push({
+      path: key,
+      text:
+        typeof b === 'object' && b !== null
+          ? `${label} modificado`
+          : `${label} ${formatChangeValue(a)} → ${formatChangeValue(b)}`
+    });
+  });
+
+  return changes;
+}
+
+function addChangeLogEntry(profile, changes, label = '') {
+  if (!profile.changeLog) profile.changeLog = [];
+  const entry = {
+    at: new Date().toISOString(),
+    label,
+    changes: changes.map((c) => c.text)
+  };
+  profile.changeLog.push(entry);
+  if (profile.changeLog.length > MAX_CHANGE_LOG) profile.changeLog.shift();
+  return entry;
+}
+
+// Se llama antes de guardar: compara con lo último guardado del perfil
+function recordChange() {
+  const profile = profiles.find((p) => p.id === currentProfileId);
+  if (!profile || !profile.data) return;
+  const prev = profile.data;
+  const changes = describeStateChanges(prev, state);
+  if (!changes.length) return;
+
+  const now = Date.now();
+  const key = changes.map((c) => c.path).join('|');
+  if (
+    lastChangeRecord &&
+    lastChangeRecord.key === key &&
+    now - lastChangeRecord.at < CHANGE_MERGE_MS
+  ) {
+    // Mismo campo otra vez: se actualiza el último paso en lugar de apilar
+    const merged = describeStateChanges(lastChangeRecord.prev, state);
+    lastChangeRecord.at = now;
+    lastChangeRecord.entry.at = new Date(now).toISOString();
+    lastChangeRecord.entry.changes = merged.map((c) => c.text);
+    if (!merged.length) {
+      // Se regresó al valor original: no hay nada que deshacer
+      profile.changeLog.splice(
+        profile.changeLog.indexOf(lastChangeRecord.entry),
+        1
+      );
+      undoStack.pop();
+      lastChangeRecord = null;
+    }
+  } else {
+    undoStack.push(deepClone(prev));
+    if (undoStack.length > MAX_UNDO_STEPS) undoStack.shift();
+    redoStack = [];
+    lastChangeRecord = {
+      at: now,
+      key,
+      prev: deepClone(prev),
+      entry: addChangeLogEntry(profile, changes)
+    };
+  }
+  renderHistoryButtons();
+}
+
+function applyHistoryState(snapshot, label) {
+  const profile = profiles.find((p) => p.id === currentProfileId);
+  const next = normalizeState(snapshot);
+  const changes = describeStateChanges(state, next);
+  if (profile && changes.length) addChangeLogEntry(profile, changes, label);
+  state = next;
+  lastChangeRecord = null;
+  saveAll();
+  initUI();
+  renderHistoryButtons();
+  if ($('changeLogModal')?.open) renderChangeLog();
+}
+
+function undo() {
+  if (!undoStack.length) return;
+  redoStack.push(deepClone(state));
+  applyHistoryState(undoStack.pop(), 'Deshacer');
+}
+
+function redo() {
+  if (!redoStack.length) return;
+  undoStack.push(deepClone(state));
+  applyHistoryState(redoStack.pop(), 'Rehacer');
+}
+
+function renderHistoryButtons() {
+  if ($('btnUndo')) $('btnUndo').disabled = !undoStack.length;
+  if ($('btnRedo')) $('btnRedo').disabled = !redoStack.length;
+}
+
+// Ctrl/Cmd+Z deshace, Ctrl/Cmd+Shift+Z o Ctrl+Y rehace. Dentro de un campo
+// de texto se respeta el deshacer nativo del navegador.
+function setupHistoryShortcuts() {
+  document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey)) return;
+    const tag = e.target?.tagName;
+    if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') return;
+    if (document.querySelector('dialog[open]')) return;
+    const k = e.key.toLowerCase();
+    if (k === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      undo();
+    } else if ((k === 'z' && e.shiftKey) || k === 'y') {
+      e.preventDefault();
+      redo();
+    }
+  });
+}
+
+// SNAPSHOTS + COMPARAR PLANES (perfiles o snapshots)
+// Grupo de cada campo del estado para agrupar diferencias
+const DIFF_GROUPS = {
+  grossIncome: 'Ingresos',
+  deductions: 'Ingresos',
+  annualRaisePct: 'Ingresos',
+  raiseMonth: 'Ingresos',
+  fixedExpenses: 'Gastos',
+  discretionary: 'Gastos',
+  expenseInflationPct: 'Gastos',
+  debts: 'Deudas',
+  strategy: 'Deudas',
+  customOrder: 'Deudas',
+  fxRates: 'Deudas',
+  events: 'Eventos',
+  goals: 'Metas',
+  surplusPolicy: 'Metas',
+  surplusGoalFloor: 'Metas',
+  surplusGoalPct: 'Metas',
+  ledger: 'Pagos reales'
+};
+
+function openSnapshotModal() {
+  const modal = $('snapshotModal');
+  if (!modal) return;
+  renderSnapshots();
+  $('planDiffResult').innerHTML = '';
+  modal.showModal();
+}
+
+function closeSnapshotModal() {
+  const modal = $('snapshotModal');
+  if (!modal) return;
+  modal.close();
+}
+
+function createSnapshot() {
+  const profile = profiles.find((p) => p.id === currentProfileId);
+  if (!profile) return;
+  const name = prompt(
+    'Nombre del snapshot:',
+    `Snapshot ${new Date().toLocaleDateString('es-MX')}`
+  );
+  if (!name) return;
+  if (!profile.snapshots) profile.snapshots = [];
+  profile.snapshots.push({
+    id: 's_' + Date.now(),
+    name,
+    createdAt: new Date().toISOString(),
+    data: deepClone(state)
+  });
+  addChangeLogEntry(profile, [], `Snapshot guardado: ${name}`);
+  saveAll();
+  renderSnapshots();
+}
+
+function restoreSnapshot(snapshotId) {
+  const profile = profiles.find((p) => p.id === currentProfileId);
+  const snap = profile?.snapshots?.find((x) => x.id === snapshotId);
+  if (!snap) return;
+  if (!confirm(`¿Restaurar "${snap.name}"? Puedes deshacerlo.`)) return;
+  undoStack.push(deepClone(state));
+  redoStack = [];
+  applyHistoryState(snap.data, `Snapshot restaurado: ${snap.name}`);
+}
+
+function deleteSnapshot(snapshotId) {
+  const profile = profiles.find((p) => p.id === currentProfileId);
+  if (!profile?.snapshots) return;
+  const snap = profile.snapshots.find((x) => x.id === snapshotId);
+  if (!snap || !confirm(`¿Borrar snapshot "${snap.name}"?`)) return;
+  profile.snapshots = profile.snapshots.filter((x) => x.id !== snapshotId);
+  saveAll();
+  renderSnapshots();
+}
+
+// Opciones de comparación: cada perfil y cada snapshot de cada perfil
+function getPlanSources() {
+  const sources = [];
+  profiles.forEach((p) => {
+    sources.push({
+      value: `profile:${p.id}`,
+      label: `Perfil: ${escapeHtml(p.name)}`,
+      data: p.data
+    });
+    (p.snapshots || []).forEach((snap) => {
+      sources.push({
+        value: `snapshot:${p.id}:${snap.id}`,
+        label: `${escapeHtml(p.name)} · ${escapeHtml(snap.name)}`,
+        data: snap.data
+      });
+    });
+  });
+  return sources;
+}
+
+function renderSnapshots() {
+  const el = $('snapshotList');
+  if (!el) return;
+  const profile = profiles.find((p) => p.id === currentProfileId);
+  const snapshots = profile?.snapshots || [];
+  el.innerHTML = snapshots.length
+    ? snapshots
+        .map(
+          (snap) => `
+        <div class="list-item">
+          <div style="display:flex; flex-direction:column">
+            <strong>${escapeHtml(snap.name)}</strong>
+            <small style="color:var(--text-muted)">${new Date(
+              snap.createdAt
+            ).toLocaleString('es-MX', {
+              dateStyle: 'short',
+              timeStyle: 'short'
+            })}</small>
+          </div>
+          <div style="display:flex; gap:6px">
+            <button type="button" class="btn-ghost" onclick="restoreSnapshot('${
+              snap.id
+            }')">Restaurar</button>
+            <button type="button" class="btn-ghost" onclick="deleteSnapshot('${
+              snap.id
+            }')">Borrar</button>
+          </div>
+        </div>`
+        )
+        .join('')
+    : '<small style="color:var(--text-muted)">Aún no hay snapshots en este perfil.</small>';
+
+  // Selects de comparación (conserva la selección si sigue existiendo)
+  const sources = getPlanSources();
+  ['planSourceA', 'planSourceB'].forEach((id, i) => {
+    const sel = $(id);
+    if (!sel) return;
+    const prev = sel.value;
+    sel.innerHTML = sources
+      .map((src) => `<option value="${src.value}">${src.label}</option>`)
+      .join('');
+    const keepPrev =
+      sources.some((src) => src.value === prev) &&
+      (i === 0 || prev !== $('planSourceA').value);
+    if (keepPrev) sel.value = prev;
+    else if (i === 0) sel.value = `profile:${currentProfileId}`;
+    else if (snapshots.length)
+      sel.value = `snapshot:${currentProfileId}:${
+        snapshots[snapshots.length - 1].id
+      }`;
+    else if (sources[1]) sel.value = sources[1].value;
+  });
+}
+
+function renderPlanDiff() {
+  const container = $('planDiffResult');
+  if (!container) return;
+  const sources = getPlanSources();
+  const srcA = sources.find((src) => src.value === $('planSourceA').value);
+  const srcB = sources.find((src) => src.value === $('planSourceB').value);
+  if (!srcA || !srcB) return;
+
+  const stateA = normalizeState(srcA.data);
+  const stateB = normalizeState(srcB.data);
+  const changes = describeStateChanges(stateA, stateB);
+  const comparison = comparePlans(stateA, stateB);
+
+  const groups = {};
+  changes.forEach((c) => {
+    const group = DIFF_GROUPS[c.path.split('.')[0]] || 'Configuración';
+    (groups[group] = groups[group] || []).push(c.text);
+  });
+
+  const freedomStr = (x) =>
+    x.freedomDate ? formatDateShort(x.freedomDate) : 'Nunca';
+  const signed = (val, fmt) => (val > 0 ? '+' : '') + fmt(val);
+  // Verde si B mejora (termina antes / paga menos), rojo si empeora
+  const tone = (diff) =>
+    diff === null || Math.abs(diff) < 0.5
+      ? ''
+      : diff < 0
+      ? 'positive'
+      : 'negative';
+  const shift = comparison.freedomShiftDays;
+
+  container.innerHTML = `
+    <table class="debt-schedule-table compare-table">
+      <thead>
+        <tr>
+          <th></th>
+          <th>${srcA.label}</th>
+          <th>${srcB.label}</th>
+          <th>Diferencia</th>
+        </tr>
+      </thead>
+      <tbody>
+        <tr>
+          <td>Libertad</td>
+          <td>${freedomStr(comparison.a)}</td>
+          <td>${freedomStr(comparison.b)}</td>
+          <td class="${tone(shift)}">${
+            shift === null ? '—' : signed(shift, (v) => `${v} días`)
+          }</td>
+        </tr>
+        <tr>
+          <td>Intereses+IVA</td>
+          <td>${formatMoney(comparison.a.totalInterestPaid)}</td>
+          <td>${formatMoney(comparison.b.totalInterestPaid)}</td>
+          <td class="${tone(comparison.interestDiff)}">${signed(
+            comparison.interestDiff,
+            formatMoney
+          )}</td>
+        </tr>
+        <tr>
+          <td>Penalizaciones</td>
+          <td>${formatMoney(comparison.a.totalPenalties)}</td>
+          <td>${formatMoney(comparison.b.totalPenalties)}</td>
+          <td class="${tone(comparison.penaltiesDiff)}">${signed(
+            comparison.penaltiesDiff,
+            formatMoney
+          )}</td>
+        </tr>
+        <tr>
+          <td>Deuda inicial</td>
+          <td>${formatMoney(comparison.a.totalDebtStart)}</td>
+          <td>${formatMoney(comparison.b.totalDebtStart)}</td>
+          <td class="${tone(comparison.debtStartDiff)}">${signed(
+            comparison.debtStartDiff,
+            formatMoney
+          )}</td>
+        </tr>
+      </tbody>
+    </table>
+    <div class="change-log mt-3">
+      ${
+        changes.length
+          ? Object.keys(groups)
+              .map(
+                (group) => `
+          <div class="change-log-entry">
+            <small class="change-log-time">${group}</small>
+            <ul>${groups[group]
+              .map((t) => `<li>${escapeHtml(t)}</li>`)
+              .join('')}</ul>
+          </div>`
+              )
+              .join('')
+          : '<small style="color:var(--text-muted)">Los dos planes tienen los mismos datos.</small>'
+      }
+    </div>
+  `;
+}
+
+function openChangeLogModal() {
+  const modal = $('changeLogModal');
+  if (!modal) return;
+  renderChangeLog();
+  modal.showModal();
+}
+
+function closeChangeLogModal() {
+  const modal = $('changeLogModal');
+  if (!modal) return;
+  modal.close();
+}
+
+function renderChangeLog() {
+  const el = $('changeLogList');
+  if (!el) return;
+  const profile = profiles.find((p) => p.id === currentProfileId);
+  const log = (profile?.changeLog || []).slice().reverse();
+  if (!log.length) {
+    el.innerHTML =
+      '<small style="color:var(--text-muted)">Sin cambios registrados en este perfil.</small>';
+    return;
+  }
+  el.innerHTML = log
+    .map(
+      (entry) => `
+        <div class="change-log-entry">
+          <small class="change-log-time">${new Date(entry.at).toLocaleString(
+            'es-MX',
+            { dateStyle: 'short', timeStyle: 'short' }
+          )}${entry.label ? ` · ${escapeHtml(entry.label)}` : ''}</small>
+          <ul>
+            ${entry.changes.map((c) => `<li>${escapeHtml(c)}</li>`).join('')}
+          </ul>
+        </div>`
+    )
+    .join('');
+}
+
 // RENDER HELPERS
 function renderLists() {
   renderSimpleList('deduction', state.deductions);
@@ -397,6 +863,7 @@ function renderLists() {
   renderDebts();
   renderGoals();
   renderEvents();
+  renderLedger();
   renderSummary();
 }
 
@@ -404,10 +871,32 @@ function renderSimpleList(type, list) {
   const el = $(type + 'List');
   if (!el) return;
   el.innerHTML = '';
+  const units = getPeriodLabels();
   list.forEach((item, i) => {
+    const tags = [];
+    if (item.growthPct !== null && item.growthPct !== undefined)
+      tags.push(`${item.growthPct}% anual`);
+    // Vigencia en periodos del plan
+    if (item.startDate || item.endDate || item.remainingPayments !== null) {
+      const { firstPeriod, lastPeriod } = getItemSchedule(state, item);
+      if (firstPeriod === null)
+        tags.push(
+          item.startDate && compareYMD(item.startDate, state.startDate) > 0
+            ? 'empieza después del horizonte'
+            : 'terminado'
+        );
+      else if (firstPeriod > 1)
+        tags.push(`empieza en ${firstPeriod - 1} ${units.units}`);
+      if (firstPeriod !== null && lastPeriod !== null)
+        tags.push(`termina en ${lastPeriod} ${units.units}`);
+    }
     el.innerHTML += `
       <div class="list-item" onclick="openModal('${type}', ${i})">
-        <span>${item.name}</span>
+        <span>${escapeHtml(item.name)}${
+          tags.length
+            ? ` <small style="color:var(--text-muted)">(${tags.join(' · ')})</small>`
+            : ''
+        }</span>
         <span class="negative">-${formatMoney(item.amount)}</span>
       </div>`;
   });
@@ -417,31 +906,146 @@ function renderDebts() {
   const el = $('debtList');
   if (!el) return;
   el.innerHTML = '';
-  state.debts.forEach((d, i) => {
+
+  // En modo personalizado la lista se muestra (y se arrastra) en el orden de ataque
+  const isCustom = state.strategy === 'custom';
+  const list = isCustom
+    ? orderDebtsByStrategy(state.debts, 'custom', state.customOrder)
+    : state.debts;
+
+  const startDate = dateFromYMD(state.startDate);
+  list.forEach((d, pos) => {
+    const i = state.debts.indexOf(d);
     const color =
       d.rate > 80
         ? 'var(--danger)'
         : d.rate > 50
         ? '#fbbf24'
         : 'var(--primary)';
-    const limitStr = d.creditLimit
-      ? ` · Límite ${formatMoney(d.creditLimit)}`
-      : '';
-    const minStr = d.monthlyMin
-      ? ` · Mín ${formatMoney(d.monthlyMin)}`
+    const isLoan = d.kind === 'loan';
+    const money = (val) => formatCurrency(val, d.currency);
+    const limitStr = d.creditLimit ? ` · Límite ${money(d.creditLimit)}` : '';
+    const minStr = isLoan
+      ? ` · Pago ${money(getScheduledPayment(d))}${
+          d.termMonths ? ` x ${d.termMonths} meses` : ''
+        }`
+      : d.monthlyMin
+      ? ` · Mín ${money(d.monthlyMin)}`
       : '';
+    const cutoffStr =
+      !isLoan && d.cutoffDay ? ` · Corte día ${d.cutoffDay}` : '';
     const dueStr = d.dueDay ? ` · Vence día ${d.dueDay}` : '';
+    const promoStr =
+      d.promoEndDate && compareYMD(state.startDate, d.promoEndDate) <= 0
+        ? ` (promo ${d.promoRate}% hasta ${formatDateShort(d.promoEndDate)})`
+        : '';
+    const msiStr = d.installments?.length
+      ? ` · ${d.installments.length} MSI`
+      : '';
+    const spendStr =
+      !isLoan && d.periodSpend > 0
+        ? ` · Compras ${money(d.periodSpend)}/${getPeriodLabels().unit}${
+            d.spendPaidInFull ? ' (totalero)' : ''
+          }`
+        : '';
+    const dragAttrs = isCustom
+      ? `draggable="true" ondragstart="onDebtDragStart(event, ${pos})" ondragover="onDebtDragOver(event)" ondrop="onDebtDrop(event, ${pos})"`
+      : '';
     el.innerHTML += `
-      <div class="list-item" style="border-left-color:${color}" onclick="openModal('debt', ${i})">
+      <div class="list-item${isCustom ? ' draggable-item' : ''}" style="border-left-color:${color}" onclick="openModal('debt', ${i})" ${dragAttrs}>
         <div style="display:flex; flex-direction:column">
-          <strong>${d.name}</strong>
+          <strong>${
+            isCustom
+              ? `<span class="material-icons-round drag-handle">drag_indicator</span>#${
+                  pos + 1
+                } `
+              : ''
+          }${escapeHtml(d.name)}</strong>
           <small style="color:${color}; font-size:0.7em">
-            Tasa ${d.rate}%${limitStr}${minStr}${dueStr}
+            ${isLoan ? 'Crédito · ' : ''}Tasa ${d.rate}%${promoStr}${limitStr}${minStr}${cutoffStr}${dueStr}${msiStr}${spendStr}
           </small>
         </div>
-        <span class="mono">${formatMoney(d.balance)}</span>
+        <span class="mono" style="text-align:right">${money(d.balance)}${
+          d.currency !== 'MXN'
+            ? `<br /><small style="color:var(--text-muted)">≈ ${formatMoney(
+                d.balance * getFxRate(state, d.currency, startDate)
+              )}</small>`
+            : ''
+        }</span>
       </div>`;
   });
+
+  renderFxRateFields();
+}
+
+// Tipo de cambio inicial y deriva anual de cada moneda que se usa
+function renderFxRateFields() {
+  const el = $('fxRatesFields');
+  if (!el) return;
+  const used = [
+    ...new Set(state.debts.map((d) => d.currency).filter((c) => c !== 'MXN'))
+  ];
+  el.innerHTML = used
+    .map((c) => {
+      const fx = state.fxRates[c];
+      return `
+        <div class="row mt-3">
+          <div class="input-field">
+            <label>Tipo de cambio ${c}</label>
+            <div class="input-wrapper">
+              <span class="currency-symbol">$</span>
+              <input type="number" step="0.0001" min="0" value="${fx.rate}" oninput="setFxRate('${c}', 'rate', this.value)" onchange="renderDebts()" />
+            </div>
+          </div>
+          <div class="input-field">
+            <label>Deriva anual ${c}</label>
+            <div class="input-wrapper">
+              <span class="currency-symbol">%</span>
+              <input type="number" step="0.1" value="${fx.annualDrift || ''}" placeholder="0" oninput="setFxRate('${c}', 'annualDrift', this.value)" onchange="renderDebts()" />
+            </div>
+          </div>
+        </div>`;
+    })
+    .join('');
+}
+
+function setFxRate(currency, field, value) {
+  const parsed = parseFloat(value) || 0;
+  // Un tipo de cambio en 0 no tiene sentido; se ignora mientras se escribe
+  if (field === 'rate' && parsed <= 0) return;
+  state.fxRates[currency][field] = parsed;
+  saveAndRun();
+}
+
+// Drag & drop del orden personalizado (estrategia 'custom')
+let draggedDebtPos = null;
+
+function onDebtDragStart(e, pos) {
+  draggedDebtPos = pos;
+  e.dataTransfer.effectAllowed = 'move';
+}
+
+function onDebtDragOver(e) {
+  e.preventDefault();
+  e.dataTransfer.dropEffect = 'move';
+}
+
+function onDebtDrop(e, pos) {
+  e.preventDefault();
+  if (draggedDebtPos === null || draggedDebtPos === pos) return;
+
+  const ordered = orderDebtsByStrategy(
+    state.debts,
+    'custom',
+    state.customOrder
+  );
+  const [moved] = ordered.splice(draggedDebtPos, 1);
+  ordered.splice(pos, 0, moved);
+  draggedDebtPos = null;
+
+  state.customOrder = ordered.map((d) => d.id);
+  saveAndRun();
+  renderDebts();
 }
 
 function renderGoals() {
@@ -457,6 +1061,7 @@ function renderGoals() {
     const originalIndex = state.goals.findIndex((x) => x.id === g.id);
     if (originalIndex === -1) return;
     const saved = g.startingSaved || 0;
+    const projection = goalProjections[g.id];
     const progress =
       g.targetAmount > 0
         ? Math.min(100, Math.round((saved / g.targetAmount) * 100))
@@ -465,38 +1070,101 @@ function renderGoals() {
     el.innerHTML += `
       <div class="list-item" onclick="openModal('goal', ${originalIndex})">
         <div style="display:flex; flex-direction:column; gap:2px;">
-          <strong>${g.name}</strong>
+          <strong>${escapeHtml(g.name)}</strong>
           <small style="color:var(--text-muted); font-size:0.7rem;">
             Objetivo ${formatMoney(g.targetAmount)} · Ahorro inicial ${formatMoney(
       saved
-    )}${g.priority ? ' · Prio ' + g.priority : ''}
+    )}${g.priority ? ' · Prio ' + g.priority : ''}${
+      g.annualYield ? ` · Rinde ${g.annualYield}%` : ''
+    }${
+      state.surplusPolicy === 'perGoal' && g.fundBeforeDebt
+        ? ' · Antes de deuda'
+        : ''
+    }
           </small>
+          ${describeGoalProjection(g, projection)}
         </div>
         <span class="mono ${progress >= 100 ? 'positive' : ''}">${progress}%</span>
       </div>`;
   });
 }
 
+// Fecha proyectada de la meta y, si no llega a su fecha límite, cuánto más
+// haría falta por periodo
+function describeGoalProjection(goal, projection) {
+  if (!projection) return '';
+  const earnings =
+    projection.totalEarnings > 0.5
+      ? ` · Aportes ${formatMoney(
+          projection.totalContributions
+        )} + rendimientos ${formatMoney(projection.totalEarnings)}`
+      : '';
+  const completion =
+    (projection.completionDate
+      ? `Se completa: ${formatDateShort(projection.completionDate)}`
+      : 'No se completa en el horizonte simulado') + earnings;
+  const deadline = goal.deadline
+    ? ` · Límite ${formatDateShort(goal.deadline)}`
+    : '';
+
+  if (!projection.missesDeadline) {
+    return `<small style="color:var(--text-muted); font-size:0.7rem;">${completion}${deadline}</small>`;
+  }
+
+  return `
+    <small style="color:var(--text-muted); font-size:0.7rem;">${completion}${deadline}</small>
+    <small class="negative" style="font-size:0.7rem;">
+      No llega a tiempo: faltarían ${formatMoney(
+        projection.shortfall
+      )} · +${formatMoney(projection.extraPerPeriod)}/${
+    getPeriodLabels().unit
+  } para lograrlo
+    </small>`;
+}
+
 function renderEvents() {
   const el = $('eventList');
   if (!el) return;
   el.innerHTML = '';
 
-  const sorted = [...state.events].sort((a, b) => compareYMD(a.date, b.date));
+  // Los recurrentes se ordenan por su próxima ocurrencia (desde la fecha de
+  // inicio); los que ya terminaron van al final.
+  const fromDate = dateFromYMD(state.startDate);
+  const sorted = state.events
+    .map((ev) => ({
+      ev,
+      next:
+        ev.frequency === 'once'
+          ? dateFromYMD(ev.date)
+          : getNextOccurrence(ev, fromDate)
+    }))
+    .sort(
+      (a, b) =>
+        (a.next ? a.next.getTime() : Infinity) -
+          (b.next ? b.next.getTime() : Infinity) ||
+        compareYMD(a.ev.date, b.ev.date)
+    );
 
-  sorted.forEach((ev) => {
+  sorted.forEach(({ ev, next }) => {
     const isInc = ev.type === 'income';
     const originalIndex = state.events.findIndex((e) => e.id === ev.id);
     if (originalIndex === -1) return;
+    const recurrence = describeRecurrence(ev);
+    const dateStr =
+      ev.frequency === 'once'
+        ? formatDateShort(ev.date)
+        : next
+        ? `Próximo: ${formatDateShort(next)}`
+        : 'Finalizado';
     el.innerHTML += `
       <div class="list-item" style="border-left-color: ${
         isInc ? 'var(--success)' : 'var(--danger)'
       }" onclick="openModal('event', ${originalIndex})">
         <div style="display:flex; flex-direction:column">
-          <strong>${ev.name}</strong>
-          <small style="color:var(--text-muted)">${formatDateShort(
-            ev.date
-          )}</small>
+          <strong>${escapeHtml(ev.name)}</strong>
+          <small style="color:var(--text-muted)">${dateStr}${
+      recurrence ? ' · ' + recurrence : ''
+    }</small>
         </div>
         <span class="${isInc ? 'positive' : 'negative'}">${
       isInc ? '+' : '-'
@@ -505,731 +1173,1527 @@ function renderEvents() {
   });
 }
 
+// Texto corto de la regla de recurrencia, ej. "Cada 2 meses · 6 veces"
+const FREQUENCY_UNITS = {
+  days: ['día', 'días'],
+  quincena: ['quincena', 'quincenas'],
+  monthly: ['mes', 'meses'],
+  yearly: ['año', 'años']
+};
+
+function describeRecurrence(ev) {
+  const units = FREQUENCY_UNITS[ev.frequency];
+  if (!units) return '';
+  const parts = [
+    ev.interval > 1 ? `Cada ${ev.interval} ${units[1]}` : `Cada ${units[0]}`
+  ];
+  if (ev.count) parts.push(`${ev.count} veces`);
+  if (ev.endDate) parts.push(`hasta ${formatDateShort(ev.endDate)}`);
+  return parts.join(' · ');
+}
+
+// Pagos reales y estados de cuenta, lo más reciente primero
+function renderLedger() {
+  const el = $('ledgerList');
+  if (!el) return;
+  el.innerHTML = '';
+
+  const sorted = state.ledger
+    .map((entry, originalIndex) => ({ entry, originalIndex }))
+    .sort(
+      (a, b) =>
+        compareYMD(b.entry.date, a.entry.date) ||
+        b.originalIndex - a.originalIndex
+    );
+
+  sorted.forEach(({ entry, originalIndex }) => {
+    const debt = state.debts.find((d) => String(d.id) === String(entry.debtId));
+    const isPayment = entry.type === 'payment';
+    el.innerHTML += `
+      <div class="list-item" onclick="openModal('ledger', ${originalIndex})">
+        <div style="display:flex; flex-direction:column">
+          <strong>${debt ? escapeHtml(debt.name) : 'Deuda eliminada'}</strong>
+          <small style="color:var(--text-muted)">${formatDateShort(
+            entry.date
+          )} · ${isPayment ? 'Pago' : 'Saldo edo. cuenta'}${
+      entry.note ? ' · ' + escapeHtml(entry.note) : ''
+    }</small>
+        </div>
+        <span class="${isPayment ? 'positive' : 'mono'}">${
+      isPayment ? '-' : ''
+    }${
+      // Los estados de cuenta vienen en la moneda de la deuda
+      isPayment || !debt
+        ? formatMoney(entry.amount)
+        : formatCurrency(entry.amount, debt.currency)
+    }</span>
+      </div>`;
+  });
+}
+
 function renderSummary() {
-  const totalDed = state.deductions.reduce((s, x) => s + (x.amount || 0), 0);
-  const net = state.grossIncome - totalDed;
-  const totalFix = state.fixedExpenses.reduce((s, x) => s + (x.amount || 0), 0);
-  const avail = net - totalFix - state.discretionary;
+  // Primer periodo: sólo cuentan deducciones y gastos vigentes
+  const base = getBaseCashflow(state, dateFromYMD(state.startDate));
+  const net = base.net;
+  const avail = net - base.fixed - base.discretionary;
 
   if ($('netIncomeDisplay')) $('netIncomeDisplay').innerText = formatMoney(net);
   if ($('availableForDebt'))
     $('availableForDebt').innerText = formatMoney(avail);
 
-  const debtSum = state.debts.reduce((s, d) => s + (d.balance || 0), 0);
+  // Saldo revolvente + MSI pendiente a la fecha de inicio
+  const startDate = dateFromYMD(state.startDate);
+  const debtSum = state.debts.reduce(
+    (s, d) =>
+      s +
+      ((d.balance || 0) + getInstallmentOutstanding(d, startDate)) *
+        getFxRate(state, d.currency, startDate),
+    0
+  );
   if ($('totalDebtStart')) $('totalDebtStart').innerText = formatMoney(debtSum);
 }
 
-// SIM ENGINE (monthly minimum logic w/ due dates)
+// SIM (render del resultado del motor)
 function runSimulation() {
   const tbody = $('simTable')?.querySelector('tbody');
   if (!tbody) return;
   tbody.innerHTML = '';
-  simulationResults = [];
-  cardHistories = {};
-
-  let currentDebts = deepClone(state.debts);
-  let currentGoals = deepClone(state.goals || []).map((g) => ({
-    ...g,
-    saved: g.startingSaved || 0
-  }));
-
-  const simStartDate = dateFromYMD(state.startDate);
-  let currentDate = new Date(
-    simStartDate.getFullYear(),
-    simStartDate.getMonth(),
-    simStartDate.getDate()
-  );
-
-  let prevPeriodEnd = null;
-
-  let iteration = 0;
-  const MAX_ITERS = 120;
-  let totalInterestPaid = 0;
-
-  const totalDed = state.deductions.reduce((s, x) => s + x.amount, 0);
-  const baseNet = state.grossIncome - totalDed;
-  const baseFixed = state.fixedExpenses.reduce((s, x) => s + x.amount, 0);
 
-  let debtRemaining = currentDebts.reduce((s, d) => s + d.balance, 0);
-  let totalGoalRemaining = currentGoals.reduce(
-    (s, g) => s + Math.max(0, (g.targetAmount || 0) - (g.saved || 0)),
-    0
-  );
-
-  let carryOver = 0;
-  let debtFreedomIndex = null;
+  const result = simulate(state);
+  simulationResults = result.periods;
+  cardHistories = result.cardHistories;
+  goalProjections = {};
+  getGoalProjections(state, result).forEach((p) => {
+    goalProjections[p.goalId] = p;
+  });
 
-  // Inicializar historiales por tarjeta
-  currentDebts.forEach((d) => {
-    cardHistories[d.id] = [];
+  simulationResults.forEach((row, resultIndex) => {
+    const tr = document.createElement('tr');
+    tr.onclick = function () {
+      openActionPlan(resultIndex);
+    };
+    tr.innerHTML = `
+      <td>${row.id}</td>
+      <td>${row.dateStr}</td>
+      <td class="mono ${
+        row.initialCash < 0 ? 'negative' : ''
+      }">${formatMoney(row.initialCash)}</td>
+      <td class="text-danger">-${formatMoney(row.paidMins)}</td>
+      <td class="text-danger">${
+        row.purchasesPaid ? '-' + formatMoney(row.purchasesPaid) : '-'
+      }</td>
+      <td class="positive">${
+        row.totalStrategy ? '-' + formatMoney(row.totalStrategy) : '-'
+      }</td>
+      <td><strong>${escapeHtml(getPeriodTargetLabel(row))}</strong></td>
+      <td class="mono">${formatMoney(row.endBalance)}</td>
+      <td style="font-size:0.75rem">${escapeHtml(row.notes)}</td>
+    `;
+    tbody.appendChild(tr);
   });
 
-  // --- Obligaciones mensuales por tarjeta ---
-  const minObligations = {}; // { [debtId]: [{dueDate, amountRemaining, monthlyMin, banxicoBaseMin}] }
+  if ($('totalInterestPaid'))
+    $('totalInterestPaid').innerText = formatMoney(result.totalInterestPaid);
+  if ($('totalPenalties')) {
+    $('totalPenalties').innerText = formatMoney(result.totalPenalties);
+    $('totalPenalties').className =
+      result.totalPenalties > 0.5 ? 'text-danger' : '';
+  }
 
-  currentDebts.forEach((debt) => {
-    const balance = debt.balance || 0;
-    if (balance <= 0.5) return;
+  // Target de la estrategia actual
+  if ($('currentTargetName'))
+    $('currentTargetName').innerText = result.currentTarget
+      ? result.currentTarget.name
+      : '¡Libre!';
 
-    const banxico = computeBanxicoMonthlyComponents(
-      balance,
-      debt.rate,
-      debt.creditLimit
-    );
-    const userMin = parseFloat(debt.monthlyMin) || 0;
-    const monthlyMin =
-      userMin > 0 ? Math.max(userMin, banxico.baseMin) : banxico.baseMin;
-
-    const firstDueDate = getFirstDueDate(simStartDate, debt);
-
-    minObligations[debt.id] = [
-      {
-        dueDate: firstDueDate,
-        amountRemaining: monthlyMin,
-        monthlyMin,
-        banxicoBaseMin: banxico.baseMin
+  // Libertad financiera estimada
+  if (result.freedomDate) {
+    $('freedomDate').innerText = formatDateShort(result.freedomDate);
+    $('freedomDate').style.color = 'var(--success)';
+    $('freedomTimeLeft').innerText = `${result.debtFreedomIndex + 1} ${capitalize(
+      getPeriodLabels().units
+    )}`;
+  } else if (simulationResults.length === 0) {
+    $('freedomDate').innerText = 'Sin datos';
+    $('freedomDate').style.color = 'var(--text-muted)';
+    $('freedomTimeLeft').innerText = '—';
+  } else {
+    $('freedomDate').innerText = 'Nunca';
+    $('freedomDate').style.color = 'var(--danger)';
+    $('freedomTimeLeft').innerText = 'Interés > Pago';
+  }
+
+  // Las metas muestran su fecha proyectada, que depende de la simulación
+  renderGoals();
+
+  if ($('chartModal')?.open) {
+    renderChart();
+  }
+
+  if ($('compareModal')?.open) {
+    renderComparison();
+  }
+
+  if ($('trackingModal')?.open) {
+    renderTracking();
+  }
+
+  // Si el modal de deuda está abierto, refrescar la tabla de esa tarjeta
+  if (editingType === 'debt' && editingIndex != null) {
+    renderDebtSchedule(editingIndex);
+  }
+}
+
+// Columna "Target": deuda atacada, metas que recibieron ahorro o LIBRE
+function getPeriodTargetLabel(row) {
+  return (
+    row.targetName ||
+    (row.savingDetails.length
+      ? row.savingDetails.map((s) => s.name).join(', ')
+      : row.endBalance < 10
+      ? 'LIBRE'
+      : '')
+  );
+}
+
+// CHART MODAL
+function openChartModal() {
+  const modal = $('chartModal');
+  if (!modal) return;
+  modal.showModal();
+  renderChart();
+}
+
+function closeChartModal() {
+  const modal = $('chartModal');
+  if (!modal) return;
+  modal.close();
+}
+
+function renderChart() {
+  const canvas = $('simChart');
+  if (!canvas) return;
+  const ctx = canvas.getContext('2d');
+
+  const labels = simulationResults.map((r) => r.dateStr);
+  const debtData = simulationResults.map((r) => r.endBalance);
+  const pocketData = simulationResults.map((r) => r.pocket);
+
+  if (surplusChart) surplusChart.destroy();
+
+  surplusChart = new Chart(ctx, {
+    type: 'line',
+    data: {
+      labels,
+      datasets: [
+        {
+          label: 'Deuda restante',
+          data: debtData,
+          borderColor: '#f87171',
+          backgroundColor: 'rgba(248,113,113,0.12)',
+          tension: 0.25,
+          borderWidth: 2,
+          pointRadius: 0
+        },
+        {
+          label: 'Bolsa (sobrante)',
+          data: pocketData,
+          borderColor: '#4ade80',
+          backgroundColor: 'rgba(74,222,128,0.12)',
+          tension: 0.25,
+          borderWidth: 2,
+          pointRadius: 0,
+          yAxisID: 'y1'
+        }
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      interaction: { mode: 'index', intersect: false },
+      plugins: {
+        legend: {
+          display: true,
+          labels: { color: '#e5e7eb', font: { size: 11 } }
+        },
+        tooltip: {
+          callbacks: {
+            label: (ctx) =>
+              `${ctx.dataset.label}: ${formatMoney(ctx.parsed.y)}`
+          }
+        }
+      },
+      scales: {
+        x: {
+          ticks: { color: '#9ca3af', maxRotation: 0, autoSkip: true },
+          grid: { color: 'rgba(148,163,184,0.15)' }
+        },
+        y: {
+          type: 'linear',
+          position: 'left',
+          title: {
+            display: true,
+            text: 'Deuda',
+            color: '#e5e7eb',
+            font: { size: 11 }
+          },
+          ticks: {
+            color: '#9ca3af',
+            callback: (v) => formatMoney(v)
+          },
+          grid: { color: 'rgba(148,163,184,0.1)' }
+        },
+        y1: {
+          type: 'linear',
+          position: 'right',
+          title: {
+            display: true,
+            text: 'Bolsa',
+            color: '#e5e7eb',
+            font: { size: 11 }
+          },
+          ticks: {
+            color: '#9ca3af',
+            callback: (v) => formatMoney(v)
+          },
+          grid: { drawOnChartArea: false }
+        }
       }
-    ];
+    }
   });
+}
 
-  while ((debtRemaining > 5 || totalGoalRemaining > 5) && iteration < MAX_ITERS) {
-    iteration++;
+// STRATEGY COMPARISON MODAL
+function openCompareModal() {
+  const modal = $('compareModal');
+  if (!modal) return;
+  modal.showModal();
+  renderComparison();
+}
 
-    const cYear = currentDate.getFullYear();
-    const cMonth = currentDate.getMonth();
-    const cDay = currentDate.getDate();
-    const isFirstQ = cDay <= 15;
+function closeCompareModal() {
+  const modal = $('compareModal');
+  if (!modal) return;
+  modal.close();
+}
 
-    const periodEnd = currentDate;
+function useStrategy(strategy) {
+  state.strategy = strategy;
+  $('strategySelect').value = strategy;
+  saveAndRun();
+  renderDebts();
+}
 
-    // --- INGRESOS / GASTOS BÁSICOS + EVENTOS ---
-    let periodIncome = baseNet;
-    let periodExpense = baseFixed + state.discretionary;
-    let eventLog = [];
+function renderComparison() {
+  const tbody = $('compareTableBody');
+  if (!tbody) return;
 
-    state.events.forEach((ev) => {
-      if (!ev.date) return;
-      const evDate = dateFromYMD(ev.date);
-      if (!evDate) return;
+  const runs = compareStrategies(state);
+  const finished = runs.filter((r) => r.result.freedomDate);
+  const bestInterest = finished.length
+    ? Math.min(...finished.map((r) => r.result.totalInterestPaid))
+    : null;
+
+  tbody.innerHTML = runs
+    .map(({ strategy, result }) => {
+      const isActive = strategy === state.strategy;
+      const isBest =
+        result.freedomDate && result.totalInterestPaid === bestInterest;
+      const order = result.payoffOrder
+        .map((p) =>
+          p.date
+            ? `${escapeHtml(p.name)} (${formatDateShort(p.date)})`
+            : `${escapeHtml(p.name)} (—)`
+        )
+        .join(' → ');
+      return `
+        <tr class="${isActive ? 'is-active' : ''}">
+          <td>${STRATEGY_LABELS[strategy] || strategy}</td>
+          <td>${
+            result.freedomDate ? formatDateShort(result.freedomDate) : 'Nunca'
+          }</td>
+          <td>${
+            result.debtFreedomIndex !== null ? result.debtFreedomIndex + 1 : '—'
+          }</td>
+          <td class="${isBest ? 'positive' : ''}">${formatMoney(
+        result.totalInterestPaid
+      )}</td>
+          <td>${order || '—'}</td>
+          <td>${
+            isActive
+              ? '<small style="color:var(--text-muted)">Activa</small>'
+              : `<button type="button" class="btn-ghost" onclick="useStrategy('${strategy}')">Usar</button>`
+          }</td>
+        </tr>
+      `;
+    })
+    .join('');
 
-      let include = false;
-      if (prevPeriodEnd) {
-        if (evDate > prevPeriodEnd && evDate <= periodEnd) include = true;
-      } else {
-        if (evDate >= simStartDate && evDate <= periodEnd) include = true;
-      }
+  renderCompareChart(runs);
+}
 
-      if (!include) return;
+function renderCompareChart(runs) {
+  const canvas = $('compareChart');
+  if (!canvas) return;
+  const ctx = canvas.getContext('2d');
+  if (!ctx) return;
 
-      if (ev.type === 'income') {
-        periodIncome += ev.amount;
-        eventLog.push(`+${ev.name}`);
-      } else {
-        periodExpense += ev.amount;
-        eventLog.push(`-${ev.name}`);
-      }
-    });
+  // Eje X: el horizonte más largo de todas las corridas
+  const longest = runs.reduce(
+    (best, r) =>
+      r.result.periods.length > best.result.periods.length ? r : best,
+    runs[0]
+  );
+  const labels = longest.result.periods.map((r) => r.dateStr);
+
+  if (compareChart) compareChart.destroy();
 
-    const netThisPeriod = periodIncome - periodExpense;
-    let cashAvailable = netThisPeriod + carryOver;
-    const initialCash = cashAvailable;
-
-    // --- INTERESES QUINCENALES + registro por tarjeta ---
-    const rowDebtData = {};
-    currentDebts.forEach((debt) => {
-      const debtId = debt.id;
-      const prevBalance = debt.balance || 0;
-      if (prevBalance <= 0.5) {
-        debt.balance = 0;
-        return;
+  compareChart = new Chart(ctx, {
+    type: 'line',
+    data: {
+      labels,
+      datasets: runs.map(({ strategy, result }) => ({
+        label: STRATEGY_LABELS[strategy] || strategy,
+        data: result.periods.map((r) => r.endBalance),
+        borderColor: STRATEGY_COLORS[strategy] || '#e5e7eb',
+        backgroundColor: 'transparent',
+        tension: 0.25,
+        borderWidth: strategy === state.strategy ? 3 : 1.5,
+        pointRadius: 0
+      }))
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      interaction: { mode: 'index', intersect: false },
+      plugins: {
+        legend: {
+          display: true,
+          labels: { color: '#e5e7eb', font: { size: 11 } }
+        },
+        tooltip: {
+          callbacks: {
+            label: (ctx) =>
+              `${ctx.dataset.label}: ${formatMoney(ctx.parsed.y)}`
+          }
+        }
+      },
+      scales: {
+        x: {
+          ticks: { color: '#9ca3af', maxRotation: 0, autoSkip: true },
+          grid: { color: 'rgba(148,163,184,0.15)' }
+        },
+        y: {
+          title: {
+            display: true,
+            text: 'Deuda restante',
+            color: '#e5e7eb',
+            font: { size: 11 }
+          },
+          ticks: {
+            color: '#9ca3af',
+            callback: (v) => formatMoney(v)
+          },
+          grid: { color: 'rgba(148,163,184,0.1)' }
+        }
       }
+    }
+  });
+}
 
-      // Interés quincenal (tasa anual / 24) + IVA
-      const intereses = (prevBalance * (debt.rate / 100)) / 24;
-      const iva = intereses * 0.16;
-      const totalCharge = intereses + iva;
-      const balanceAfterCharge = prevBalance + totalCharge;
+// PLAN VS ACTUAL MODAL
+function openTrackingModal() {
+  const modal = $('trackingModal');
+  if (!modal) return;
+  modal.showModal();
+  renderTracking();
+}
 
-      debt.balance = balanceAfterCharge;
-      totalInterestPaid += totalCharge;
+function closeTrackingModal() {
+  const modal = $('trackingModal');
+  if (!modal) return;
+  modal.close();
+}
 
-      const banxicoComp = computeBanxicoMonthlyComponents(
-        prevBalance,
-        debt.rate,
-        debt.creditLimit
-      );
+function renderTracking() {
+  const tbody = $('trackingTableBody');
+  const summary = $('trackingSummary');
+  if (!tbody || !summary) return;
 
-      rowDebtData[debtId] = {
-        debtId,
-        name: debt.name,
-        startingBalance: prevBalance,
-        interest: intereses,
-        iva,
-        minPaid: 0,
-        extraPaid: 0,
-        endingBalance: debt.balance,
-        banxico: banxicoComp
-      };
-    });
+  const tracking = comparePlanVsActual(state);
+  const units = getPeriodLabels().units;
 
-    // --- Generar nuevas obligaciones después de cada vencimiento ---
-    Object.keys(minObligations).forEach((idStr) => {
-      const debtId = Number(idStr);
-      const debt = currentDebts.find((d) => d.id === debtId);
-      if (!debt || debt.balance <= 0.5) return;
-
-      const obs = minObligations[debtId];
-      if (!obs || !obs.length) return;
-
-      const dueDay = getDueDayOrDefault(debt);
-      let lastOb = obs[obs.length - 1];
-
-      // Si ya pasamos el último dueDate, se crea el del siguiente ciclo
-      while (periodEnd > lastOb.dueDate && obs.length < 240 && debt.balance > 0.5) {
-        const userMin = parseFloat(debt.monthlyMin) || 0;
-        const ban = computeBanxicoMonthlyComponents(
-          debt.balance,
-          debt.rate,
-          debt.creditLimit
-        );
-        const monthlyMin =
-          userMin > 0 ? Math.max(userMin, ban.baseMin) : ban.baseMin;
-
-        let y = lastOb.dueDate.getFullYear();
-        let m = lastOb.dueDate.getMonth() + 1;
-        if (m > 11) {
-          m = 0;
-          y++;
-        }
-        const nextDueDate = makeDueDate(y, m, dueDay);
+  if (!tracking.rows.length) {
+    summary.innerHTML = '';
+    tbody.innerHTML = `<tr><td colspan="8">Registra pagos o estados de cuenta (desde ${formatDateShort(
+      state.startDate
+    )}) en "Pagos Reales" para comparar.</td></tr>`;
+    return;
+  }
 
-        const newOb = {
-          dueDate: nextDueDate,
-          amountRemaining: monthlyMin,
-          monthlyMin,
-          banxicoBaseMin: ban.baseMin
-        };
+  const statusLabel =
+    tracking.status === 'ahead'
+      ? `Adelantado ${formatMoney(-tracking.balanceDiff)}`
+      : tracking.status === 'behind'
+      ? `Atrasado ${formatMoney(tracking.balanceDiff)}`
+      : 'En línea con el plan';
+  const shift = tracking.freedomShiftPeriods;
+  const shiftLabel =
+    shift === null || shift === 0
+      ? ''
+      : shift > 0
+      ? ` (+${shift} ${units})`
+      : ` (${shift} ${units})`;
+
+  summary.innerHTML = `
+    <span class="debt-schedule-pill" style="color:${
+      tracking.status === 'behind'
+        ? 'var(--danger)'
+        : tracking.status === 'ahead'
+        ? 'var(--success)'
+        : 'inherit'
+    }">${statusLabel}</span>
+    <span class="debt-schedule-pill">Diferencia de intereses: ${
+      tracking.interestDiff > 0 ? '+' : ''
+    }${formatMoney(tracking.interestDiff)}</span>
+    <span class="debt-schedule-pill">Libertad plan: ${
+      tracking.plannedFreedomDate
+        ? formatDateShort(tracking.plannedFreedomDate)
+        : 'Nunca'
+    }</span>
+    <span class="debt-schedule-pill">Libertad reproyectada: ${
+      tracking.projectedFreedomDate
+        ? formatDateShort(tracking.projectedFreedomDate)
+        : 'Nunca'
+    }${shiftLabel}</span>
+  `;
 
-        obs.push(newOb);
-        lastOb = newOb;
-      }
-    });
+  tbody.innerHTML = tracking.rows
+    .map(
+      (r) => `
+        <tr class="is-${r.status === 'onTrack' ? 'on-track' : r.status}">
+          <td>${r.dateStr}</td>
+          <td>${formatMoney(r.plannedPaid)}</td>
+          <td>${formatMoney(r.actualPaid)}</td>
+          <td>${formatMoney(r.plannedBalance)}</td>
+          <td>${formatMoney(r.actualBalance)}</td>
+          <td>${r.balanceDiff > 0 ? '+' : ''}${formatMoney(r.balanceDiff)}</td>
+          <td>${formatMoney(r.plannedInterest)}</td>
+          <td>${formatMoney(r.actualInterest)}</td>
+        </tr>
+      `
+    )
+    .join('');
+}
 
-    // --- PAGOS MÍNIMOS (obligatorios) ---
-    let paidMins = 0;
-    const minDetails = [];
-    const minPaidThisPeriod = {}; // debtId -> monto pagado como mínimo en este periodo
-
-    // Seleccionar deudas con obligaciones pendientes
-    const debtsForMin = currentDebts
-      .map((debt) => {
-        const obs = minObligations[debt.id] || [];
-        const activeObs = obs.filter((o) => o.amountRemaining > 0.5);
-        if (!activeObs.length || debt.balance <= 0.5) return null;
-
-        const earliestDue = activeObs.reduce(
-          (min, o) => (o.dueDate < min ? o.dueDate : min),
-          activeObs[0].dueDate
-        );
-        const totalRemaining = activeObs.reduce(
-          (s, o) => s + o.amountRemaining,
-          0
-        );
-        return { debt, obs, earliestDue, totalRemaining };
-      })
-      .filter(Boolean)
-      // Primero las obligaciones con vencimiento más cercano
-      .sort(
-        (a, b) =>
-          a.earliestDue - b.earliestDue || b.totalRemaining - a.totalRemaining
-      );
+// TARGET DATE MODAL (solver, no modifica el perfil)
+function openTargetModal() {
+  const modal = $('targetModal');
+  const form = $('targetForm');
+  if (!modal || !form) return;
 
-    debtsForMin.forEach(({ debt, obs }) => {
-      const debtId = debt.id;
-      if (!minPaidThisPeriod[debtId]) minPaidThisPeriod[debtId] = 0;
-
-      const sortedObs = [...obs].sort((a, b) => a.dueDate - b.dueDate);
-
-      for (const ob of sortedObs) {
-        if (cashAvailable <= 0) break;
-        if (ob.amountRemaining <= 0.5) continue;
-
-        const pay = Math.min(cashAvailable, ob.amountRemaining, debt.balance);
-        if (pay <= 0) continue;
-
-        cashAvailable -= pay;
-        ob.amountRemaining -= pay;
-        debt.balance -= pay;
-
-        paidMins += pay;
-        minPaidThisPeriod[debtId] += pay;
-
-        const rec = rowDebtData[debtId] || {
-          debtId,
-          name: debt.name,
-          startingBalance: debt.balance + pay,
-          interest: 0,
-          iva: 0,
-          minPaid: 0,
-          extraPaid: 0,
-          endingBalance: debt.balance,
-          banxico: computeBanxicoMonthlyComponents(
-            debt.balance + pay,
-            debt.rate,
-            debt.creditLimit
-          )
-        };
-        rec.minPaid = (rec.minPaid || 0) + pay;
-        rec.endingBalance = debt.balance;
-        rowDebtData[debtId] = rec;
-      }
-    });
+  // Propuesta inicial: la fecha de libertad actual
+  const current = simulate(state).freedomDate;
+  if (current && !form.elements['targetDate'].value) {
+    form.elements['targetDate'].value = current.toISOString().split('T')[0];
+  }
+  form.onsubmit = (e) => {
+    e.preventDefault();
+    renderTargetSolution();
+  };
+  $('targetResult').innerHTML = '';
+  modal.showModal();
+}
 
-    // Construir minDetails con la foto de lo que YA debería estar cubierto a esta fecha
-    currentDebts.forEach((debt) => {
-      const debtId = debt.id;
-      const obs = minObligations[debtId];
-      if (!obs || !obs.length) return;
+function closeTargetModal() {
+  const modal = $('targetModal');
+  if (!modal) return;
+  modal.close();
+}
 
-      const paid = minPaidThisPeriod[debtId] || 0;
+function renderTargetSolution() {
+  const form = $('targetForm');
+  const container = $('targetResult');
+  if (!form || !container) return;
+
+  const targetDate = form.elements['targetDate'].value;
+  if (!targetDate) return;
+
+  const solution = solveForFreedomDate(state, targetDate);
+  const units = getPeriodLabels();
+  const freedomStr = (d) => (d ? formatDateShort(d) : 'Nunca');
+
+  let lines = '';
+  if (solution.minimumsExceedIncome) {
+    lines += `
+      <p style="color:var(--danger)">
+        Tu flujo actual no cubre los pagos mínimos: faltan
+        ${formatMoney(solution.minimumsDeficit)} por ${units.unit} antes de
+        cualquier abono extra.
+      </p>`;
+  }
 
-      let requiredNow = 0; // mínimo acumulado que debería estar cubierto a esta fecha
-      let remainingNow = 0; // adeudo pendiente de mínimos vencidos
-      let earliestDue = null;
-      let nextDue = null;
+  if (solution.status === 'impossible') {
+    const reason = solution.installmentsBlock
+      ? 'quedan mensualidades MSI que vencen después y el extra no las adelanta'
+      : 'ni liquidando todo de inmediato se alcanza';
+    container.innerHTML =
+      lines +
+      `<small style="color:var(--text-muted)">No es posible quedar sin deudas el ${formatDateShort(
+        dateFromYMD(targetDate)
+      )}: ${reason}.${
+        solution.earliestFreedomDate
+          ? ` Lo más pronto posible: ${formatDateShort(
+              solution.earliestFreedomDate
+            )}.`
+          : ''
+      }</small>`;
+    return;
+  }
 
-      obs.forEach((ob) => {
-        if (!earliestDue || ob.dueDate < earliestDue) earliestDue = ob.dueDate;
-        if (ob.amountRemaining > 0.5) {
-          if (!nextDue || ob.dueDate < nextDue) nextDue = ob.dueDate;
-        }
-        if (ob.dueDate <= periodEnd) {
-          requiredNow += ob.monthlyMin || 0;
-          remainingNow += ob.amountRemaining;
-        }
-      });
+  if (solution.status === 'onTrack') {
+    container.innerHTML =
+      lines +
+      `<small style="color:var(--text-muted)">Tu plan actual ya cumple: libre el ${freedomStr(
+        solution.baselineFreedomDate
+      )}.</small>`;
+    return;
+  }
 
-      const baseMonthlyMin = obs[0].monthlyMin || 0;
-      const banxicoBaseMin = obs[0].banxicoBaseMin || 0;
-
-      minDetails.push({
-        name: debt.name,
-        paid,
-        required: requiredNow,
-        components: {
-          requiredBefore: requiredNow,
-          remainingAfter: remainingNow,
-          firstDueDate: earliestDue,
-          nextDueDate: nextDue,
-          monthlyMin: baseMonthlyMin,
-          banxicoBaseMin
-        }
-      });
-    });
+  container.innerHTML = `
+    ${lines}
+    <table class="debt-schedule-table compare-table">
+      <tbody>
+        <tr>
+          <td>Libertad con el plan actual</td>
+          <td>${freedomStr(solution.baselineFreedomDate)}</td>
+        </tr>
+        <tr>
+          <td><strong>Extra necesario por ${units.unit}</strong></td>
+          <td class="negative"><strong>${formatMoney(
+            solution.extraPerPeriod
+          )}</strong></td>
+        </tr>
+        <tr>
+          <td>Libertad con el extra</td>
+          <td class="positive">${freedomStr(solution.solvedFreedomDate)}</td>
+        </tr>
+        <tr>
+          <td>Como recorte: gasto discrecional</td>
+          <td>${formatMoney(solution.cutFromDiscretionary)}</td>
+        </tr>
+        <tr>
+          <td>Como recorte: gastos fijos</td>
+          <td>${formatMoney(solution.cutFromFixed)}</td>
+        </tr>
+      </tbody>
+    </table>
+    ${
+      solution.cutFeasible
+        ? ''
+        : `<small style="color:var(--text-muted)">Recortar gastos no basta en cada ${
+            units.unit
+          } hasta la fecha objetivo; se necesita ingreso adicional.</small>`
+    }
+  `;
+}
 
-    // --- ESTRATEGIA (EXTRA) ---
-    let strategyLog = [];
-    let targetName = '';
-    if (cashAvailable > 1) {
-      const strategy = state.strategy || 'snowball';
-      const activeDebts = currentDebts.filter((d) => d.balance > 0.5);
-      const totalActiveBalance = activeDebts.reduce(
-        (s, d) => s + d.balance,
-        0
-      );
+// STRESS TEST MODAL (Monte Carlo, no modifica el perfil)
+function openStressModal() {
+  const modal = $('stressModal');
+  const form = $('stressForm');
+  if (!modal || !form) return;
 
-      if (strategy === 'flat' && totalActiveBalance > 0) {
-        // Distribuir extra proporcional al saldo
-        let extra = cashAvailable;
-        activeDebts.forEach((debt) => {
-          if (extra <= 1) return;
-          const share = debt.balance / totalActiveBalance;
-          let pay = extra * share;
-          pay = Math.min(pay, debt.balance);
-          if (pay <= 0) return;
-
-          const before = debt.balance;
-          debt.balance -= pay;
-          extra -= pay;
-
-          strategyLog.push({ name: debt.name, amount: pay });
-          if (!targetName) targetName = 'Diversificado';
-
-          const rec = rowDebtData[debt.id] || {
-            debtId: debt.id,
-            name: debt.name,
-            startingBalance: before,
-            interest: 0,
-            iva: 0,
-            minPaid: 0,
-            extraPaid: 0,
-            endingBalance: debt.balance,
-            banxico: computeBanxicoMonthlyComponents(
-              before,
-              debt.rate,
-              debt.creditLimit
-            )
-          };
-          rec.extraPaid = (rec.extraPaid || 0) + pay;
-          rec.endingBalance = debt.balance;
-          rowDebtData[debt.id] = rec;
-        });
-        cashAvailable = extra;
-      } else {
-        // Ordenar tarjetas según estrategia
-        const orderedDebts = [...activeDebts].sort((a, b) => {
-          switch (strategy) {
-            case 'snowball':
-              return a.balance - b.balance;
-            case 'avalanche':
-              return b.rate - a.rate;
-            case 'highMin': {
-              const ta = parseFloat(a.monthlyMin) || 0;
-              const tb = parseFloat(b.monthlyMin) || 0;
-              return tb - ta;
-            }
-            case 'reverseSnowball':
-              return b.balance - a.balance; // subóptima a propósito
-            default:
-              return b.rate - a.rate; // fallback avalanche
-          }
-        });
+  form.onsubmit = (e) => {
+    e.preventDefault();
+    renderStressTest();
+  };
+  stressTest = null;
+  $('stressResult').innerHTML = '';
+  modal.showModal();
+}
 
-        let extra = cashAvailable;
-        for (const debt of orderedDebts) {
-          if (extra <= 1) break;
-          const pay = Math.min(extra, debt.balance);
-          if (pay <= 0) continue;
-
-          const before = debt.balance;
-          debt.balance -= pay;
-          extra -= pay;
-
-          strategyLog.push({ name: debt.name, amount: pay });
-          if (!targetName) targetName = debt.name;
-
-          const rec = rowDebtData[debt.id] || {
-            debtId: debt.id,
-            name: debt.name,
-            startingBalance: before,
-            interest: 0,
-            iva: 0,
-            minPaid: 0,
-            extraPaid: 0,
-            endingBalance: debt.balance,
-            banxico: computeBanxicoMonthlyComponents(
-              before,
-              debt.rate,
-              debt.creditLimit
-            )
-          };
-          rec.extraPaid = (rec.extraPaid || 0) + pay;
-          rec.endingBalance = debt.balance;
-          rowDebtData[debt.id] = rec;
+function closeStressModal() {
+  const modal = $('stressModal');
+  if (!modal) return;
+  stressTest = null; // corta la corrida pendiente
+  modal.close();
+}
+
+// Corridas por tanda: entre tandas el navegador pinta el avance y atiende
+// clics (p. ej. Cerrar)
+const STRESS_BATCH = 10;
+
+function renderStressTest() {
+  const form = $('stressForm');
+  const container = $('stressResult');
+  if (!form || !container) return;
+
+  const options = {};
+  new FormData(form).forEach((v, k) => (options[k] = parseFloat(v) || 0));
+  options.runs = Math.min(2000, Math.max(10, options.runs || 200));
+
+  const test = createStressTest(state, options);
+  stressTest = test;
+  const runBatch = () => {
+    // Se cerró el modal o se volvió a simular
+    if (stressTest !== test) return;
+    const done = test.step(STRESS_BATCH);
+    if (done < test.runs) {
+      container.innerHTML = `<small style="color:var(--text-muted)">Simulando… ${done} de ${test.runs} corridas</small>`;
+      setTimeout(runBatch, 0);
+      return;
+    }
+    stressTest = null;
+    renderStressReport(container, test.report());
+  };
+  container.innerHTML =
+    '<small style="color:var(--text-muted)">Simulando…</small>';
+  setTimeout(runBatch, 0);
+}
+
+function renderStressReport(container, report) {
+  const freedomStr = (d) => (d ? formatDateShort(d) : 'Nunca');
+  const pct = (x) => `${x.toFixed(1)}%`;
+  const moneyOrDash = (x) => (x === null ? '—' : formatMoney(x));
+
+  container.innerHTML = `
+    <div class="debt-schedule-header">
+      <span class="debt-schedule-pill">${report.runs} corridas</span>
+      <span class="debt-schedule-pill">Plan sin choques: ${freedomStr(
+        report.baseline.freedomDate
+      )}</span>
+    </div>
+    <table class="debt-schedule-table compare-table">
+      <thead>
+        <tr>
+          <th>P10 (optimista)</th>
+          <th>P50</th>
+          <th>P90 (pesimista)</th>
+        </tr>
+      </thead>
+      <tbody>
+        <tr>
+          <td>${freedomStr(report.freedomP10)}</td>
+          <td>${freedomStr(report.freedomP50)}</td>
+          <td>${freedomStr(report.freedomP90)}</td>
+        </tr>
+      </tbody>
+    </table>
+    <table class="debt-schedule-table compare-table mt-3">
+      <tbody>
+        <tr>
+          <td>Probabilidad de incumplir algún mínimo</td>
+          <td class="${
+            report.missMinimumProbability > 0 ? 'negative' : 'positive'
+          }">${pct(report.missMinimumProbability)}</td>
+        </tr>
+        <tr>
+          <td>Mayor faltante de mínimos vencidos</td>
+          <td>${formatMoney(report.worstShortfall)}</td>
+        </tr>
+        <tr>
+          <td>No se libera en el horizonte</td>
+          <td class="${report.unfinishedRuns ? 'negative' : 'positive'}">${pct(
+            report.neverFreeProbability
+          )} (${report.unfinishedRuns} de ${report.runs})</td>
+        </tr>
+        ${
+          report.unfinishedRuns
+            ? `<tr>
+          <td>Deuda que les queda al final (mediana)</td>
+          <td class="negative">${formatMoney(report.unfinishedDebtP50)}</td>
+        </tr>`
+            : ''
         }
-        cashAvailable = extra;
-      }
+        <tr>
+          <td>Intereses+IVA (mediana)</td>
+          <td>${moneyOrDash(report.interestP50)}</td>
+        </tr>
+        <tr>
+          <td>Intereses+IVA (peor caso)</td>
+          <td class="negative">${moneyOrDash(report.worstInterest)}</td>
+        </tr>
+      </tbody>
+    </table>
+    ${
+      report.unfinishedRuns
+        ? `<small style="color:var(--text-muted)">Los intereses sólo cuentan las corridas que se liberan: las que no terminan siguen pagando intereses después del horizonte.</small>`
+        : ''
     }
+  `;
+}
 
-    // Normalizar saldos muy pequeños
-    currentDebts.forEach((d) => {
-      if (d.balance < 1) d.balance = 0;
-    });
+// CONSOLIDATION MODAL (escenario, no modifica el perfil)
+function openConsolidationModal() {
+  const modal = $('consolidationModal');
+  const form = $('consolidationForm');
+  if (!modal || !form) return;
+
+  $('consolidationDebtList').innerHTML = state.debts
+    .map(
+      (d) => `
+        <div class="checkbox-field">
+          <label>
+            <input type="checkbox" name="debtIds" value="${d.id}" />
+            ${escapeHtml(d.name)} (${formatMoney(d.balance)} · ${d.rate}%)
+          </label>
+        </div>`
+    )
+    .join('');
+  toggleDebtKindFields(form.elements['kind'].value, 'consolidationForm');
+  form.onsubmit = (e) => {
+    e.preventDefault();
+    renderConsolidation();
+  };
+  $('consolidationResult').innerHTML = '';
+  modal.showModal();
+}
+
+function closeConsolidationModal() {
+  const modal = $('consolidationModal');
+  if (!modal) return;
+  modal.close();
+}
 
-    debtRemaining = currentDebts.reduce((s, d) => s + d.balance, 0);
+function renderConsolidation() {
+  const form = $('consolidationForm');
+  const container = $('consolidationResult');
+  if (!form || !container) return;
 
-    // Guardar libertad de deuda
-    const rowIndexForFreedom = simulationResults.length;
-    if (debtFreedomIndex === null && debtRemaining <= 5) {
-      debtFreedomIndex = rowIndexForFreedom;
-    }
+  const formData = new FormData(form);
+  const offer = {};
+  formData.forEach((v, k) => (offer[k] = v));
+  offer.debtIds = formData.getAll('debtIds');
+  if (!offer.debtIds.length) {
+    container.innerHTML =
+      '<small style="color:var(--text-muted)">Elige al menos una deuda para consolidar.</small>';
+    return;
+  }
+
+  if (offer.kind === 'loan' && !(parseInt(offer.termMonths, 10) > 0)) {
+    container.innerHTML =
+      '<small style="color:var(--text-muted)">Indica el plazo en meses del préstamo.</small>';
+    form.elements['termMonths'].focus();
+    return;
+  }
 
-    // --- GOALS (solo después de liquidar deudas) ---
-    let savingDetails = [];
-    let totalSavingThisPeriod = 0;
-    const canSaveNow = debtRemaining <= 5 && currentGoals.length > 0;
-
-    if (cashAvailable > 1 && canSaveNow) {
-      const orderedGoals = currentGoals
-        .filter((g) => (g.targetAmount || 0) - (g.saved || 0) > 1)
-        .sort((a, b) => (a.priority || 999) - (b.priority || 999));
-
-      let extra = cashAvailable;
-      for (const goal of orderedGoals) {
-        if (extra <= 1) break;
-        const need = (goal.targetAmount || 0) - (goal.saved || 0);
-        if (need <= 0) continue;
-        const pay = Math.min(need, extra);
-        goal.saved = (goal.saved || 0) + pay;
-        extra -= pay;
-        totalSavingThisPeriod += pay;
-        savingDetails.push({ name: goal.name, amount: pay });
+  const comparison = compareConsolidation(state, offer);
+  if (!comparison) {
+    // No dejar en pantalla el resultado de la oferta anterior
+    container.innerHTML =
+      '<small style="color:var(--text-muted)">Revisa los datos de la oferta: no se pudo armar el escenario.</small>';
+    return;
+  }
+  const { current, consolidated } = comparison;
+  const units = getPeriodLabels();
+  // Verde si el consolidado mejora, rojo si empeora
+  const better = (a, b) =>
+    a < b - 0.5 ? 'positive' : a > b + 0.5 ? 'negative' : '';
+  const freedomStr = (x) =>
+    x.freedomDate
+      ? `${formatDateShort(x.freedomDate)} (${x.periodsToFreedom} ${units.units})`
+      : 'Nunca';
+
+  container.innerHTML = `
+    <div class="debt-schedule-header">
+      <span class="debt-schedule-pill">Saldo transferido: ${formatMoney(
+        comparison.transferred
+      )}</span>
+      <span class="debt-schedule-pill">Comisión + IVA: ${formatMoney(
+        comparison.fee
+      )}</span>
+      ${
+        comparison.leftOver > 0.5
+          ? `<span class="debt-schedule-pill">Se queda en las deudas: ${formatMoney(
+              comparison.leftOver
+            )}</span>`
+          : ''
       }
-      cashAvailable = extra;
+    </div>
+    ${
+      comparison.leftOver > 0.5
+        ? `<p style="color:var(--danger)">El límite de ${formatMoney(
+            comparison.creditLimit
+          )} no alcanza para todo el saldo más la comisión. Se transfiere primero lo de mayor tasa; ${formatMoney(
+            comparison.leftOver
+          )} sigue en las deudas originales.</p>`
+        : ''
     }
+    <table class="debt-schedule-table compare-table">
+      <thead>
+        <tr>
+          <th></th>
+          <th>Plan actual</th>
+          <th>Consolidado</th>
+        </tr>
+      </thead>
+      <tbody>
+        <tr>
+          <td>Libertad</td>
+          <td>${freedomStr(current)}</td>
+          <td class="${better(
+            consolidated.periodsToFreedom ?? Infinity,
+            current.periodsToFreedom ?? Infinity
+          )}">${freedomStr(consolidated)}</td>
+        </tr>
+        <tr>
+          <td>Intereses+IVA</td>
+          <td>${formatMoney(current.totalInterestPaid)}</td>
+          <td>${formatMoney(consolidated.totalInterestPaid)}</td>
+        </tr>
+        <tr>
+          <td>Comisiones de apertura</td>
+          <td>${formatMoney(current.fees)}</td>
+          <td>${formatMoney(consolidated.fees)}</td>
+        </tr>
+        <tr>
+          <td><strong>Costo total</strong></td>
+          <td>${formatMoney(current.totalCost)}</td>
+          <td class="${better(
+            consolidated.totalCost,
+            current.totalCost
+          )}"><strong>${formatMoney(consolidated.totalCost)}</strong></td>
+        </tr>
+        <tr>
+          <td>Mínimos por ${units.unit} (prom. primeros 6)</td>
+          <td>${formatMoney(current.minPaymentsAvg)}</td>
+          <td class="${better(
+            consolidated.minPaymentsAvg,
+            current.minPaymentsAvg
+          )}">${formatMoney(consolidated.minPaymentsAvg)}</td>
+        </tr>
+      </tbody>
+    </table>
+  `;
+}
 
-    totalGoalRemaining = currentGoals.reduce(
-      (s, g) => s + Math.max(0, (g.targetAmount || 0) - (g.saved || 0)),
-      0
-    );
+// EXPORT MODAL (CSV / XLSX de la última simulación)
+const SCHEDULE_EXPORT_HEADER = [
+  '#',
+  'Fecha',
+  'Ingreso',
+  'Gastos',
+  'Flujo disponible',
+  'Mínimos',
+  'Compras pagadas',
+  'Extra (estrategia)',
+  'Target / Ahorro',
+  'Deuda restante',
+  'Bolsillo',
+  'Notas'
+];
+
+// Montos a 2 decimales; las hojas de cálculo suman mejor sin centavos sueltos
+const roundCents = (x) => Math.round((x || 0) * 100) / 100;
+const toYMDLocal = (d) =>
+  `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(
+    d.getDate()
+  ).padStart(2, '0')}`;
+
+function openExportModal() {
+  const modal = $('exportModal');
+  if (!modal) return;
+  renderExportList();
+  modal.showModal();
+}
 
-    const pocket = Math.max(0, cashAvailable);
-    carryOver = pocket;
+function closeExportModal() {
+  const modal = $('exportModal');
+  if (!modal) return;
+  modal.close();
+}
 
-    const resultIndex = simulationResults.length;
-    const totalStrategy = strategyLog.reduce((s, x) => s + x.amount, 0);
+function renderExportList() {
+  const el = $('exportList');
+  if (!el) return;
+  const item = (title, desc, onclick) => `
+    <div class="list-item">
+      <div style="display:flex; flex-direction:column">
+        <strong>${title}</strong>
+        <small style="color:var(--text-muted)">${desc}</small>
+      </div>
+      <button type="button" class="btn-ghost" onclick="${onclick}">CSV</button>
+    </div>`;
+
+  el.innerHTML =
+    item(
+      `Calendario por ${getPeriodLabels().unit}`,
+      `${simulationResults.length} periodos`,
+      'exportScheduleCSV()'
+    ) +
+    state.debts
+      .map((d) =>
+        item(
+          escapeHtml(d.name),
+          `Historial de la tarjeta · ${
+            (cardHistories[d.id] || []).length
+          } periodos`,
+          `exportCardCSV('${d.id}')`
+        )
+      )
+      .join('');
+}
 
-    const notesParts = [];
-    if (eventLog.length) notesParts.push(eventLog.join(', '));
-    if (savingDetails.length)
-      notesParts.push(
-        'Ahorro: ' + savingDetails.map((s) => s.name).join(', ')
-      );
-    const notes = notesParts.join(' / ');
-
-    const rowData = {
-      id: iteration,
-      dateStr: formatDateShort(currentDate),
-      income: periodIncome,
-      expenses: periodExpense,
-      initialCash,
-      minDetails,
-      strategyDetails: strategyLog,
-      savingDetails,
-      endBalance: debtRemaining,
-      pocket,
-      notes
+function getScheduleRows() {
+  return [
+    SCHEDULE_EXPORT_HEADER,
+    ...simulationResults.map((row) => [
+      row.id,
+      toYMDLocal(row.date),
+      roundCents(row.income),
+      roundCents(row.expenses),
+      roundCents(row.initialCash),
+      roundCents(row.paidMins),
+      roundCents(row.purchasesPaid),
+      roundCents(row.totalStrategy),
+      getPeriodTargetLabel(row),
+      roundCents(row.endBalance),
+      roundCents(row.pocket),
+      row.notes
+    ])
+  ];
+}
+
+// Igual que el calendario de la tarjeta: montos en pesos y, si la deuda es en
+// otra moneda, el saldo en su moneda y el tipo de cambio del periodo.
+function getCardHistoryRows(debt) {
+  const isForeign = debt.currency !== 'MXN';
+  const header = [
+    '#',
+    'Fecha',
+    'Saldo inicial',
+    'Compras',
+    'Compras pagadas',
+    'Intereses',
+    'IVA',
+    'Pago mín.',
+    'MSI',
+    'Extra',
+    'Penalización',
+    'Ajuste',
+    ...(isForeign ? ['Dif. cambiaria'] : []),
+    'Saldo final',
+    ...(isForeign ? [`Saldo ${debt.currency}`, 'T.C.'] : [])
+  ];
+  const rows = (cardHistories[debt.id] || []).map((h, idx) => [
+    idx + 1,
+    toYMDLocal(h.date),
+    roundCents(h.startingBalance),
+    roundCents(h.purchases),
+    roundCents(h.purchasesPaid),
+    roundCents(h.interest),
+    roundCents(h.iva),
+    roundCents(h.minPaid),
+    roundCents(h.msiPaid),
+    roundCents(h.extraPaid),
+    roundCents(h.penalty),
+    roundCents(h.adjustment),
+    ...(isForeign ? [roundCents(h.fxAdjustment)] : []),
+    roundCents(h.endingBalance),
+    ...(isForeign
+      ? [
+          roundCents(h.endingBalance / (h.fxRate || 1)),
+          Math.round((h.fxRate || 1) * 10000) / 10000
+        ]
+      : [])
+  ]);
+  return [header, ...rows];
+}
+
+function downloadFile(fileName, content, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const a = document.createElement('a');
+  a.setAttribute('href', url);
+  a.setAttribute('download', fileName);
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function getExportBaseName() {
+  const p = profiles.find((x) => x.id === currentProfileId);
+  return `freedom_${p ? p.name : 'plan'}`;
+}
+
+function exportScheduleCSV() {
+  downloadFile(
+    `${getExportBaseName()}_calendario.csv`,
+    toCSV(getScheduleRows()),
+    'text/csv;charset=utf-8'
+  );
+}
+
+function exportCardCSV(debtId) {
+  const debt = state.debts.find((d) => String(d.id) === String(debtId));
+  if (!debt) return;
+  downloadFile(
+    `${getExportBaseName()}_${debt.name}.csv`,
+    toCSV(getCardHistoryRows(debt)),
+    'text/csv;charset=utf-8'
+  );
+}
+
+// Una hoja con el calendario y una por tarjeta
+function exportWorkbook() {
+  const sheets = [
+    { name: 'Calendario', rows: getScheduleRows(), plainColumns: [0] },
+    ...state.debts.map((d) => ({
+      name: d.name,
+      rows: getCardHistoryRows(d),
+      plainColumns: [0]
+    }))
+  ];
+  downloadFile(
+    `${getExportBaseName()}.xlsx`,
+    buildXLSX(sheets),
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  );
+}
+
+// BANK IMPORT MODAL (CSV / OFX; nada se guarda hasta confirmar)
+const IMPORT_MAPPING_FIELDS = {
+  date: 'Fecha',
+  description: 'Concepto',
+  amount: 'Importe (con signo)',
+  debit: 'Cargo',
+  credit: 'Abono',
+  balance: 'Saldo'
+};
+
+function openImportModal() {
+  const modal = $('importModal');
+  if (!modal) return;
+
+  importData = null;
+  $('importFile').value = '';
+  $('importFile').onchange = handleImportFileChange;
+  $('importAccount').innerHTML =
+    '<option value="">Cuenta de débito / nómina</option>' +
+    state.debts
+      .map((d) => `<option value="${d.id}">${escapeHtml(d.name)}</option>`)
+      .join('');
+  $('importAccount').onchange = () => {
+    if (!importData) return;
+    assignDefaultImportActions();
+    renderImportPreview();
+  };
+  $('importBalanceMode').value = 'none';
+  $('importMapping').innerHTML = '';
+  $('importPreview').innerHTML = '';
+  modal.showModal();
+}
+
+function closeImportModal() {
+  const modal = $('importModal');
+  if (!modal) return;
+  modal.close();
+  importData = null;
+}
+
+function handleImportFileChange(e) {
+  const file = e.target.files[0];
+  if (!file) return;
+
+  // Muchos bancos exportan en Windows-1252: si el UTF-8 trae caracteres
+  // inválidos se vuelve a leer con esa codificación.
+  const read = (encoding) => {
+    const reader = new FileReader();
+    reader.onload = (ev) => {
+      const text = ev.target.result;
+      if (encoding === 'utf-8' && text.includes('\uFFFD'))
+        return read('windows-1252');
+      loadImportText(text, file.name);
     };
-    simulationResults.push(rowData);
-
-    // Construir historial por tarjeta
-    currentDebts.forEach((debt) => {
-      const debtId = debt.id;
-      const rec = rowDebtData[debtId];
-      const historyArr = cardHistories[debtId];
-      if (!historyArr) return;
-
-      if (!rec) {
-        const last =
-          historyArr.length > 0
-            ? historyArr[historyArr.length - 1].endingBalance
-            : debt.balance;
-        historyArr.push({
-          date: new Date(periodEnd),
-          dateLabel: formatDateShort(periodEnd),
-          startingBalance: last,
-          interest: 0,
-          iva: 0,
-          minPaid: 0,
-          extraPaid: 0,
-          endingBalance: debt.balance
-        });
-      } else {
-        historyArr.push({
-          date: new Date(periodEnd),
-          dateLabel: formatDateShort(periodEnd),
-          startingBalance: rec.startingBalance,
-          interest: rec.interest,
-          iva: rec.iva,
-          minPaid: rec.minPaid,
-          extraPaid: rec.extraPaid,
-          endingBalance: rec.endingBalance
-        });
-      }
-    });
+    reader.readAsText(file, encoding);
+  };
+  read('utf-8');
+}
 
-    // Pintar fila en tabla principal
-    const tr = document.createElement('tr');
-    tr.onclick = function () {
-      openActionPlan(resultIndex);
+function loadImportText(text, fileName) {
+  const isOFX = /\.(ofx|qfx)$/i.test(fileName) || /<OFX>/i.test(text);
+  if (isOFX) {
+    const parsed = parseOFX(text);
+    importData = {
+      rows: null,
+      headerRow: 0,
+      mapping: null,
+      transactions: parsed.transactions,
+      balance: parsed.balance,
+      actions: []
     };
-    tr.innerHTML = `
-      <td>${iteration}</td>
-      <td>${rowData.dateStr}</td>
-      <td class="mono ${
-        rowData.initialCash < 0 ? 'negative' : ''
-      }">${formatMoney(rowData.initialCash)}</td>
-      <td class="text-danger">-${formatMoney(paidMins)}</td>
-      <td class="positive">${totalStrategy ? '-' + formatMoney(totalStrategy) : '-'}</td>
-      <td><strong>${
-        targetName ||
-        (savingDetails.length
-          ? savingDetails.map((s) => s.name).join(', ')
-          : debtRemaining < 10
-          ? 'LIBRE'
-          : '')
-      }</strong></td>
-      <td class="mono">${formatMoney(debtRemaining)}</td>
-      <td style="font-size:0.75rem">${rowData.notes}</td>
-    `;
-    tbody.appendChild(tr);
+    // Un OFX de tarjeta casi siempre se importa para actualizar su saldo
+    if (parsed.isCreditCard && parsed.balance)
+      $('importBalanceMode').value = 'statement';
+  } else {
+    const rows = parseCSV(text);
+    const headerRow = findHeaderRow(rows);
+    importData = {
+      rows,
+      headerRow,
+      mapping: guessCsvMapping(rows[headerRow] || []),
+      transactions: [],
+      balance: null,
+      actions: []
+    };
+    applyImportMapping();
+  }
 
-    // actualizar límite inferior para eventos del siguiente periodo
-    prevPeriodEnd = new Date(periodEnd);
+  assignDefaultImportActions();
+  renderImportMapping();
+  renderImportPreview();
+}
 
-    // Avanzar a la siguiente quincena
-    if (isFirstQ) {
-      currentDate = new Date(cYear, cMonth + 1, 0); // fin de mes
-    } else {
-      currentDate = new Date(cYear, cMonth + 1, 15); // día 15 del siguiente mes
-    }
-  }
+// Relee las filas del CSV con el mapeo actual. El saldo final es el de la
+// fila más reciente que traiga saldo (hay bancos que ordenan al revés).
+function applyImportMapping() {
+  const { rows, headerRow, mapping } = importData;
+  importData.transactions = mapCsvRows(rows.slice(headerRow + 1), mapping);
+  const withBalance = importData.transactions
+    .filter((tx) => tx.balance !== null)
+    .sort((a, b) => compareYMD(a.date, b.date));
+  const last = withBalance[withBalance.length - 1];
+  importData.balance = last ? { amount: last.balance, date: last.date } : null;
+}
 
-  if ($('totalInterestPaid'))
-    $('totalInterestPaid').innerText = formatMoney(totalInterestPaid);
+// Acción sugerida por movimiento. Si el archivo es de una tarjeta, sus abonos
+// son pagos a ella; si es de la cuenta de nómina, un cargo cuyo concepto
+// menciona una deuda se toma como pago a esa deuda. Lo demás se ignora: el
+// sueldo y los gastos recurrentes ya están en el perfil.
+function assignDefaultImportActions() {
+  const accountId = $('importAccount').value;
+  importData.actions = importData.transactions.map((tx) => {
+    let debtId = null;
+    if (accountId) {
+      if (tx.amount > 0) debtId = accountId;
+    } else if (tx.amount < 0) {
+      const desc = tx.description.toLowerCase();
+      const debt = state.debts.find(
+        (d) => d.name && desc.includes(d.name.toLowerCase())
+      );
+      if (debt) debtId = String(debt.id);
+    }
+    if (debtId === null || isDuplicateImport(tx, debtId)) return 'ignore';
+    if (isBeforePlanStart(tx.date)) return 'ignore';
+    return `pay:${debtId}`;
+  });
+}
 
-  // Target de la estrategia actual
-  let tempD = deepClone(state.debts);
-  if (state.strategy === 'snowball')
-    tempD.sort((a, b) => a.balance - b.balance);
-  else if (state.strategy === 'avalanche')
-    tempD.sort((a, b) => b.rate - a.rate);
-  else if (state.strategy === 'highMin')
-    tempD.sort(
-      (a, b) =>
-        (parseFloat(b.monthlyMin) || 0) - (parseFloat(a.monthlyMin) || 0)
-    );
-  else if (state.strategy === 'reverseSnowball')
-    tempD.sort((a, b) => b.balance - a.balance);
-  else tempD.sort((a, b) => b.rate - a.rate); // fallback
+// simulate sólo reproduce pagos y eventos desde la fecha de inicio: lo
+// anterior no cambiaría nada, así que no se importa.
+function isBeforePlanStart(date) {
+  return compareYMD(date, state.startDate) < 0;
+}
 
-  const active = tempD.find((d) => d.balance > 0);
-  if ($('currentTargetName'))
-    $('currentTargetName').innerText = active ? active.name : '¡Libre!';
+// Pago ya registrado (mismo día, deuda e importe): típico al reimportar
+function isDuplicateImport(tx, debtId) {
+  return state.ledger.some(
+    (entry) =>
+      entry.type === 'payment' &&
+      String(entry.debtId) === String(debtId) &&
+      entry.date === tx.date &&
+      Math.abs(entry.amount - Math.abs(tx.amount)) < 0.01
+  );
+}
 
-  // Libertad financiera estimada
-  if (debtFreedomIndex !== null && simulationResults.length > 0) {
-    const row =
-      simulationResults[debtFreedomIndex] ||
-      simulationResults[simulationResults.length - 1];
-    $('freedomDate').innerText = row.dateStr;
-    $('freedomDate').style.color = 'var(--success)';
-    $('freedomTimeLeft').innerText = `${debtFreedomIndex + 1} Quincenas`;
-  } else if (simulationResults.length === 0) {
-    $('freedomDate').innerText = 'Sin datos';
-    $('freedomDate').style.color = 'var(--text-muted)';
-    $('freedomTimeLeft').innerText = '—';
-  } else {
-    $('freedomDate').innerText = 'Nunca';
-    $('freedomDate').style.color = 'var(--danger)';
-    $('freedomTimeLeft').innerText = 'Interés > Pago';
+function renderImportMapping() {
+  const el = $('importMapping');
+  if (!el) return;
+  if (!importData?.rows) {
+    el.innerHTML = '';
+    return;
   }
 
-  if ($('chartModal')?.open) {
-    renderChart();
-  }
+  const { rows, headerRow, mapping } = importData;
+  const header = rows[headerRow] || [];
+  const columnOptions = (selected) =>
+    '<option value="">—</option>' +
+    header
+      .map(
+        (h, i) =>
+          `<option value="${i}" ${selected === i ? 'selected' : ''}>${
+            h ? escapeHtml(h) : `Columna ${i + 1}`
+          }</option>`
+      )
+      .join('');
+  const fields = Object.entries(IMPORT_MAPPING_FIELDS).map(
+    ([key, label]) => `
+      <div class="input-field">
+        <label>${label}</label>
+        <select onchange="updateImportMapping('${key}', this.value)">
+          ${columnOptions(mapping[key])}
+        </select>
+      </div>`
+  );
 
-  // Si el modal de deuda está abierto, refrescar la tabla de esa tarjeta
-  if (editingType === 'debt' && editingIndex != null) {
-    renderDebtSchedule(editingIndex);
-  }
+  el.innerHTML = `
+    <div class="row">${fields.slice(0, 3).join('')}</div>
+    <div class="row">${fields.slice(3).join('')}</div>
+    <div class="row">
+      <div class="input-field">
+        <label>Fila de encabezados</label>
+        <input
+          type="number"
+          min="1"
+          max="${rows.length}"
+          value="${headerRow + 1}"
+          onchange="updateImportMapping('headerRow', this.value)"
+        />
+      </div>
+      <div class="input-field checkbox-field">
+        <label>
+          <input
+            type="checkbox"
+            ${mapping.invertSign ? 'checked' : ''}
+            onchange="updateImportMapping('invertSign', this.checked)"
+          />
+          Invertir signo (el banco pone los cargos en positivo)
+        </label>
+      </div>
+    </div>
+  `;
 }
 
-// CHART MODAL
-function openChartModal() {
-  const modal = $('chartModal');
-  if (!modal) return;
-  modal.showModal();
-  renderChart();
+function updateImportMapping(field, value) {
+  if (!importData?.rows) return;
+  const mapping = importData.mapping;
+
+  if (field === 'headerRow') {
+    const row = parseInt(value, 10) - 1;
+    importData.headerRow = Math.min(
+      importData.rows.length - 1,
+      Math.max(0, isNaN(row) ? 0 : row)
+    );
+    importData.mapping = guessCsvMapping(
+      importData.rows[importData.headerRow] || []
+    );
+  } else if (field === 'invertSign') {
+    mapping.invertSign = value === true;
+  } else {
+    mapping[field] = value === '' ? null : parseInt(value, 10);
+    // Importe con signo y cargo/abono separados son excluyentes
+    if (field === 'amount' && value !== '') {
+      mapping.debit = null;
+      mapping.credit = null;
+    }
+    if ((field === 'debit' || field === 'credit') && value !== '')
+      mapping.amount = null;
+  }
+
+  applyImportMapping();
+  assignDefaultImportActions();
+  renderImportMapping();
+  renderImportPreview();
 }
 
-function closeChartModal() {
-  const modal = $('chartModal');
-  if (!modal) return;
-  modal.close();
+function setImportAction(index, value) {
+  if (!importData) return;
+  importData.actions[index] = value;
+  renderImportPreview();
 }
 
-function renderChart() {
-  const canvas = $('simChart');
-  if (!canvas) return;
-  const ctx = canvas.getContext('2d');
+function renderImportPreview() {
+  const container = $('importPreview');
+  if (!container || !importData) return;
 
-  const labels = simulationResults.map((r) => r.dateStr);
-  const debtData = simulationResults.map((r) => r.endBalance);
-  const pocketData = simulationResults.map((r) => r.pocket);
+  const { transactions, balance, actions } = importData;
+  if (!transactions.length && !balance) {
+    container.innerHTML =
+      '<small style="color:var(--text-muted)">No se encontraron movimientos con fecha e importe. Revisa el mapeo de columnas.</small>';
+    return;
+  }
 
-  if (surplusChart) surplusChart.destroy();
+  const account = state.debts.find(
+    (d) => String(d.id) === $('importAccount').value
+  );
+  const currency = account ? account.currency : 'MXN';
+  const toImport = actions.filter(
+    (a, i) => a !== 'ignore' && !isBeforePlanStart(transactions[i].date)
+  ).length;
+  const beforeStart = transactions.filter((tx) =>
+    isBeforePlanStart(tx.date)
+  ).length;
+  const balanceBeforeStart =
+    balance?.date && isBeforePlanStart(balance.date);
+  const actionOptions = (selected) =>
+    [
+      ['ignore', 'Ignorar'],
+      ['event', 'Evento (ingreso / gasto)'],
+      ...state.debts.map((d) => [`pay:${d.id}`, `Pago a ${escapeHtml(d.name)}`])
+    ]
+      .map(
+        ([value, label]) =>
+          `<option value="${value}" ${
+            value === selected ? 'selected' : ''
+          }>${label}</option>`
+      )
+      .join('');
+
+  const rowsHtml = transactions
+    .map((tx, i) => {
+      const duplicate = state.debts.some((d) => isDuplicateImport(tx, d.id));
+      const early = isBeforePlanStart(tx.date);
+      return `
+        <tr${early ? ' style="opacity:0.5"' : ''}>
+          <td>${formatDateShort(tx.date)}</td>
+          <td>${tx.description ? escapeHtml(tx.description) : '—'}${
+        duplicate
+          ? ' <span class="debt-schedule-pill">ya registrado</span>'
+          : ''
+      }${
+        early
+          ? ' <span class="debt-schedule-pill">antes del inicio del plan</span>'
+          : ''
+      }</td>
+          <td class="${tx.amount > 0 ? 'positive' : 'negative'}">${formatCurrency(
+        tx.amount,
+        currency
+      )}</td>
+          <td>
+            <select onchange="setImportAction(${i}, this.value)"${
+              early ? ' disabled' : ''
+            }>
+              ${actionOptions(early ? 'ignore' : actions[i])}
+            </select>
+          </td>
+        </tr>`;
+    })
+    .join('');
 
-  surplusChart = new Chart(ctx, {
-    type: 'line',
-    data: {
-      labels,
-      datasets: [
-        {
-          label: 'Deuda restante',
-          data: debtData,
-          borderColor: '#f87171',
-          backgroundColor: 'rgba(248,113,113,0.12)',
-          tension: 0.25,
-          borderWidth: 2,
-          pointRadius: 0
-        },
-        {
-          label: 'Bolsa (sobrante)',
-          data: pocketData,
-          borderColor: '#4ade80',
-          backgroundColor: 'rgba(74,222,128,0.12)',
-          tension: 0.25,
-          borderWidth: 2,
-          pointRadius: 0,
-          yAxisID: 'y1'
-        }
-      ]
-    },
-    options: {
-      responsive: true,
-      maintainAspectRatio: false,
-      interaction: { mode: 'index', intersect: false },
-      plugins: {
-        legend: {
-          display: true,
-          labels: { color: '#e5e7eb', font: { size: 11 } }
-        },
-        tooltip: {
-          callbacks: {
-            label: (ctx) =>
-              `${ctx.dataset.label}: ${formatMoney(ctx.parsed.y)}`
-          }
-        }
-      },
-      scales: {
-        x: {
-          ticks: { color: '#9ca3af', maxRotation: 0, autoSkip: true },
-          grid: { color: 'rgba(148,163,184,0.15)' }
-        },
-        y: {
-          type: 'linear',
-          position: 'left',
-          title: {
-            display: true,
-            text: 'Deuda',
-            color: '#e5e7eb',
-            font: { size: 11 }
-          },
-          ticks: {
-            color: '#9ca3af',
-            callback: (v) => formatMoney(v)
-          },
-          grid: { color: 'rgba(148,163,184,0.1)' }
-        },
-        y1: {
-          type: 'linear',
-          position: 'right',
-          title: {
-            display: true,
-            text: 'Bolsa',
-            color: '#e5e7eb',
-            font: { size: 11 }
-          },
-          ticks: {
-            color: '#9ca3af',
-            callback: (v) => formatMoney(v)
-          },
-          grid: { drawOnChartArea: false }
-        }
+  container.innerHTML = `
+    <div class="debt-schedule-header">
+      <span class="debt-schedule-pill">${transactions.length} movimientos</span>
+      <span class="debt-schedule-pill">${toImport} por importar</span>
+      ${
+        beforeStart
+          ? `<span class="debt-schedule-pill" style="color:var(--danger)">${beforeStart} antes del inicio del plan (${formatDateShort(
+              state.startDate
+            )}): no se importan</span>`
+          : ''
+      }
+      ${
+        balance
+          ? `<span class="debt-schedule-pill">Saldo final: ${formatCurrency(
+              balance.amount,
+              currency
+            )}${
+              balance.date ? ' al ' + formatDateShort(balance.date) : ''
+            }${
+              balanceBeforeStart
+                ? ' (anterior al inicio: sólo sirve para reemplazar el saldo)'
+                : ''
+            }</span>`
+          : ''
       }
+    </div>
+    ${
+      transactions.length
+        ? `<table class="debt-schedule-table compare-table">
+      <thead>
+        <tr>
+          <th>Fecha</th>
+          <th>Concepto</th>
+          <th>Importe</th>
+          <th>Acción</th>
+        </tr>
+      </thead>
+      <tbody>${rowsHtml}</tbody>
+    </table>`
+        : ''
+    }
+  `;
+}
+
+// Aplica la vista previa al perfil en un solo paso (se deshace con Ctrl+Z).
+// Los montos del archivo vienen en la moneda de la cuenta; pagos y eventos se
+// guardan en pesos, el saldo de la deuda en su propia moneda.
+function confirmImport() {
+  if (!importData) return alert('Primero elige un archivo.');
+
+  const account = state.debts.find(
+    (d) => String(d.id) === $('importAccount').value
+  );
+  const balanceMode = $('importBalanceMode').value;
+  const toMXN = (amount, date) =>
+    Math.abs(amount) *
+    (account ? getFxRate(state, account.currency, dateFromYMD(date)) : 1);
+  let nextId = Date.now();
+  let changed = 0;
+
+  // Fecha del estado de cuenta; uno anterior al inicio se ignoraría en la
+  // simulación, así que se valida antes de tocar el perfil.
+  const balance = importData.balance;
+  const lastTx = importData.transactions
+    .map((tx) => tx.date)
+    .sort(compareYMD)
+    .pop();
+  const statementDate =
+    balance?.date || lastTx || new Date().toISOString().split('T')[0];
+  if (
+    account &&
+    balance &&
+    balanceMode === 'statement' &&
+    isBeforePlanStart(statementDate)
+  )
+    return alert(
+      `El saldo es del ${formatDateShort(
+        statementDate
+      )}, antes del inicio del plan. Elige "Reemplazar saldo de la deuda" o "No usarlo".`
+    );
+
+  importData.transactions.forEach((tx, i) => {
+    if (isBeforePlanStart(tx.date)) return;
+    const action = importData.actions[i];
+    const note = tx.description.slice(0, 60);
+    if (action === 'event') {
+      state.events.push({
+        id: nextId++,
+        name: note || 'Movimiento importado',
+        date: tx.date,
+        amount: toMXN(tx.amount, tx.date),
+        type: tx.amount > 0 ? 'income' : 'expense',
+        frequency: 'once',
+        interval: 1,
+        endDate: null,
+        count: null
+      });
+      changed++;
+    } else if (action.startsWith('pay:')) {
+      const debt = state.debts.find((d) => String(d.id) === action.slice(4));
+      if (!debt) return;
+      state.ledger.push({
+        id: nextId++,
+        date: tx.date,
+        debtId: debt.id,
+        type: 'payment',
+        amount: toMXN(tx.amount, tx.date),
+        note
+      });
+      changed++;
     }
   });
+
+  // El saldo de una tarjeta sale negativo en OFX (lo que se debe)
+  if (account && balance && balanceMode !== 'none') {
+    const owed = Math.abs(balance.amount);
+    if (balanceMode === 'statement') {
+      state.ledger.push({
+        id: nextId++,
+        date: statementDate,
+        debtId: account.id,
+        type: 'statement',
+        amount: owed,
+        note: 'Importado'
+      });
+    } else {
+      account.balance = owed;
+    }
+    changed++;
+  }
+
+  if (!changed) return alert('No hay movimientos marcados para importar.');
+  closeImportModal();
+  saveAndRun();
+  renderLists();
 }
 
 // RECEIPT MODAL
@@ -1257,7 +2721,7 @@ function openActionPlan(index) {
         (m.components?.requiredBefore ?? 0) === 0;
       minList.innerHTML += `
         <div class="receipt-item">
-          <span>${m.name}</span>
+          <span>${escapeHtml(m.name)}</span>
           <span class="${
             isOnTrack ? '' : 'negative'
           }">-${formatMoney(m.paid)}</span>
@@ -1267,6 +2731,27 @@ function openActionPlan(index) {
   }
   $('receiptTotalMin').innerText = '-' + formatMoney(totalMin);
 
+  // Compras totaleras: se liquidan después de los mínimos, pero no son mínimos
+  const purchaseList = $('receiptPurchaseList');
+  const paidPurchases = (data.purchaseDetails || []).filter((p) => p.paid > 0);
+  purchaseList.innerHTML = paidPurchases
+    .map(
+      (p) => `
+        <div class="receipt-item">
+          <span>${escapeHtml(p.name)}</span>
+          <span class="${
+            p.paid < p.charged - 0.5 ? 'negative' : ''
+          }">-${formatMoney(p.paid)}</span>
+        </div>
+      `
+    )
+    .join('');
+  $('receiptPurchaseSection').style.display = paidPurchases.length
+    ? ''
+    : 'none';
+  $('receiptTotalPurchases').innerText =
+    '-' + formatMoney(data.purchasesPaid || 0);
+
   // Desglose detallado de mínimos (para el botón "?")
   const bd = $('receiptMinBreakdown');
   if (bd) {
@@ -1284,10 +2769,12 @@ function openActionPlan(index) {
         html += `
           <div class="receipt-min-card">
             <div class="receipt-row bold">
-              <span>${m.name}</span>
-              <span>Mínimo mensual configurado: ${formatMoney(
-                c.monthlyMin ?? 0
-              )}</span>
+              <span>${escapeHtml(m.name)}</span>
+              <span>${
+                m.kind === 'loan'
+                  ? 'Pago fijo del crédito'
+                  : 'Mínimo mensual configurado'
+              }: ${formatMoney(c.monthlyMin ?? 0)}</span>
             </div>
             <div class="receipt-row">
               <span>Aproximación Banxico (referencia mensual)</span>
@@ -1315,6 +2802,14 @@ function openActionPlan(index) {
               <span>Pagaste en este periodo</span>
               <span>${formatMoney(m.paid)}</span>
             </div>
+            ${
+              c.penaltyCharged > 0.5
+                ? `<div class="receipt-row">
+              <span>Penalización cargada (comisión + moratorios + IVA)</span>
+              <span class="negative">${formatMoney(c.penaltyCharged)}</span>
+            </div>`
+                : ''
+            }
             <div class="receipt-row">
               <span>Nota</span>
               <span style="text-align:right; max-width:230px;">
@@ -1345,7 +2840,7 @@ function openActionPlan(index) {
     data.strategyDetails.forEach((s) => {
       stratList.innerHTML += `
         <div class="receipt-item" style="color:var(--success); font-weight:700">
-          <span>${s.name} (Acelerador)</span>
+          <span>${escapeHtml(s.name)} (Acelerador)</span>
           <span>-${formatMoney(s.amount)}</span>
         </div>
       `;
@@ -1361,11 +2856,40 @@ function openActionPlan(index) {
     data.savingDetails.forEach((s) => {
       saveList.innerHTML += `
         <div class="receipt-item">
-          <span>${s.name}</span>
+          <span>${escapeHtml(s.name)}${
+            s.phase === 'beforeDebt'
+              ? ' <small style="color:var(--text-muted)">(antes de deuda)</small>'
+              : ''
+          }</span>
           <span class="positive">-${formatMoney(s.amount)}</span>
         </div>
       `;
     });
+    // Reparto del excedente cuando todavía hay deuda (los rendimientos no
+    // salen del flujo, así que no entran al reparto)
+    if (data.savingDetails.some((s) => s.phase === 'beforeDebt')) {
+      const surplus = data.totalStrategy + data.totalSaving;
+      const goalsPct = surplus > 0 ? (data.totalSaving / surplus) * 100 : 0;
+      saveList.innerHTML += `
+        <div class="receipt-row">
+          <span>Reparto del excedente</span>
+          <span>Deuda ${formatMoney(data.totalStrategy)} (${Math.round(
+        100 - goalsPct
+      )}%) · Metas ${formatMoney(data.totalSaving)} (${Math.round(
+        goalsPct
+      )}%)</span>
+        </div>
+      `;
+    }
+  }
+
+  if (data.goalEarnings > 0.005) {
+    saveList.innerHTML += `
+      <div class="receipt-item" style="color:var(--text-muted)">
+        <span>Rendimientos netos (no salen de tu flujo)</span>
+        <span class="positive">+${formatMoney(data.goalEarnings)}</span>
+      </div>
+    `;
   }
 
   $('receiptEndBalance').innerText = formatMoney(data.endBalance);
@@ -1402,12 +2926,20 @@ function renderDebtSchedule(index) {
   }
 
   let totalInterest = 0;
+  let totalPenalty = 0;
+  let totalPurchases = 0;
   let totalPaid = 0;
   let payoffIndex = -1;
 
   history.forEach((h, idx) => {
     totalInterest += (h.interest || 0) + (h.iva || 0);
-    totalPaid += (h.minPaid || 0) + (h.extraPaid || 0);
+    totalPenalty += h.penalty || 0;
+    totalPurchases += h.purchases || 0;
+    totalPaid +=
+      (h.minPaid || 0) +
+      (h.msiPaid || 0) +
+      (h.extraPaid || 0) +
+      (h.purchasesPaid || 0);
     if (payoffIndex === -1 && h.endingBalance <= 5) {
       payoffIndex = idx;
     }
@@ -1419,20 +2951,46 @@ function renderDebtSchedule(index) {
       : 'No se liquida en el horizonte simulado';
   const periodsToPayoff = payoffIndex >= 0 ? payoffIndex + 1 : null;
 
+  const hasPenalty = totalPenalty > 0.5;
+  const hasPurchases = totalPurchases > 0.5;
+  // Moneda extranjera: saldo también en su moneda al tipo de cada periodo
+  const isForeign = debt.currency !== 'MXN';
+  const totalFx = history.reduce((s, h) => s + (h.fxAdjustment || 0), 0);
+
   const rowsHtml = history
     .map((h, idx) => {
       if (idx > 59) return ''; // limitar a 60 filas para no saturar el modal
-      const totalPago = (h.minPaid || 0) + (h.extraPaid || 0);
+      const totalPago =
+        (h.minPaid || 0) +
+        (h.msiPaid || 0) +
+        (h.extraPaid || 0) +
+        (h.purchasesPaid || 0);
       const interesesTot = (h.interest || 0) + (h.iva || 0);
       return `
         <tr>
           <td>${idx + 1}</td>
-          <td>${h.dateLabel}</td>
+          <td>${h.dateLabel}</td>${
+            hasPurchases
+              ? `<td>${formatMoney(h.purchases || 0)}</td><td>${formatMoney(
+                  h.purchasesPaid || 0
+                )}</td>`
+              : ''
+          }
           <td>${formatMoney(h.minPaid || 0)}</td>
+          <td>${formatMoney(h.msiPaid || 0)}</td>
           <td>${formatMoney(h.extraPaid || 0)}</td>
           <td>${formatMoney(totalPago)}</td>
-          <td>${formatMoney(interesesTot)}</td>
-          <td>${formatMoney(h.endingBalance || 0)}</td>
+          <td>${formatMoney(interesesTot)}</td>${
+            hasPenalty ? `<td>${formatMoney(h.penalty || 0)}</td>` : ''
+          }
+          <td>${formatMoney(h.endingBalance || 0)}</td>${
+            isForeign
+              ? `<td>${formatCurrency(
+                  (h.endingBalance || 0) / h.fxRate,
+                  debt.currency
+                )}</td><td>${h.fxRate.toFixed(2)}</td>`
+              : ''
+          }
         </tr>
       `;
     })
@@ -1446,13 +3004,40 @@ function renderDebtSchedule(index) {
       <span class="debt-schedule-pill">Intereses totales estimados: ${formatMoney(
         totalInterest
       )}</span>
-      <span class="debt-schedule-pill">Pagos totales (mín + extra): ${formatMoney(
+      ${
+        hasPenalty
+          ? `<span class="debt-schedule-pill" style="color:var(--danger)">Penalizaciones: ${formatMoney(
+              totalPenalty
+            )}</span>`
+          : ''
+      }
+      ${
+        hasPurchases
+          ? `<span class="debt-schedule-pill">Compras nuevas: ${formatMoney(
+              totalPurchases
+            )}</span>`
+          : ''
+      }
+      ${
+        isForeign
+          ? `<span class="debt-schedule-pill">T.C. ${debt.currency}: ${history[0].fxRate.toFixed(
+              2
+            )} → ${history[history.length - 1].fxRate.toFixed(
+              2
+            )} · Dif. cambiaria: ${formatMoney(totalFx)}</span>`
+          : ''
+      }
+      <span class="debt-schedule-pill">Pagos totales (mín + MSI + extra${
+        hasPurchases ? ' + compras' : ''
+      }): ${formatMoney(
         totalPaid
       )}</span>
       <span class="debt-schedule-pill">
         ${
           periodsToPayoff
-            ? `Se liquida aprox. en ${periodsToPayoff} quincenas (${payoffLabel})`
+            ? `Se liquida aprox. en ${periodsToPayoff} ${
+                getPeriodLabels().units
+              } (${payoffLabel})`
             : 'No se liquida con la configuración actual'
         }
       </span>
@@ -1461,16 +3046,29 @@ function renderDebtSchedule(index) {
       <thead>
         <tr>
           <th>#</th>
-          <th>Fecha</th>
+          <th>Fecha</th>${
+            hasPurchases ? '<th>Compras</th><th>Compras pagadas</th>' : ''
+          }
           <th>Pago mín.</th>
+          <th>MSI</th>
           <th>Extra</th>
           <th>Total pago</th>
-          <th>Intereses+IVA</th>
-          <th>Saldo fin</th>
+          <th>Intereses+IVA</th>${hasPenalty ? '<th>Penal.</th>' : ''}
+          <th>Saldo fin</th>${
+            isForeign ? `<th>Saldo ${debt.currency}</th><th>T.C.</th>` : ''
+          }
         </tr>
       </thead>
       <tbody>
-        ${rowsHtml || '<tr><td colspan="7">Sin movimientos.</td></tr>'}
+        ${
+          rowsHtml ||
+          `<tr><td colspan="${
+            8 +
+            (hasPenalty ? 1 : 0) +
+            (hasPurchases ? 2 : 0) +
+            (isForeign ? 2 : 0)
+          }">Sin movimientos.</td></tr>`
+        }
       </tbody>
     </table>
   `;
@@ -1486,6 +3084,13 @@ function openModal(type, index = null) {
 
   form.reset();
 
+  // Las opciones de deuda deben existir antes de llenar el formulario
+  if (type === 'ledger') {
+    $('ledgerDebtSelect').innerHTML = state.debts
+      .map((d) => `<option value="${d.id}">${escapeHtml(d.name)}</option>`)
+      .join('');
+  }
+
   if (index !== null && index >= 0) {
     if (delBtn) {
       delBtn.style.display = 'block';
@@ -1498,6 +3103,8 @@ function openModal(type, index = null) {
         ? state.deductions
         : type === 'goal'
         ? state.goals
+        : type === 'ledger'
+        ? state.ledger
         : state[type + 's'];
     const item = targetArray[index];
     if (item) {
@@ -1505,6 +3112,8 @@ function openModal(type, index = null) {
         if (input.name && item[input.name] !== undefined) {
           if (input.type === 'radio') {
             input.checked = input.value === item[input.name];
+          } else if (input.type === 'checkbox') {
+            input.checked = !!item[input.name];
           } else {
             input.value = item[input.name];
           }
@@ -1514,6 +3123,8 @@ function openModal(type, index = null) {
   } else {
     if (delBtn) delBtn.style.display = 'none';
     if (type === 'event') form.elements['date'].value = state.startDate;
+    if (type === 'ledger')
+      form.elements['date'].value = new Date().toISOString().split('T')[0];
   }
 
   form.onsubmit = (e) => {
@@ -1521,6 +3132,15 @@ function openModal(type, index = null) {
     saveItem(type, new FormData(form));
   };
 
+  if (type === 'debt') {
+    const item = index !== null && index >= 0 ? state.debts[index] : null;
+    editingInstallments = deepClone(item?.installments || []);
+    editingRateSegments = deepClone(item?.rateSchedule || []);
+    renderInstallmentRows();
+    renderRateSegmentRows();
+    toggleDebtKindFields(form.elements['kind'].value);
+  }
+
   modal.showModal();
 
   // Si es deuda existente, renderizar la tabla de proyección
@@ -1535,6 +3155,151 @@ function openModal(type, index = null) {
   }
 }
 
+// Mostrar sólo los campos que aplican al tipo de deuda (tarjeta vs crédito)
+function toggleDebtKindFields(kind, formId = 'debtForm') {
+  const form = $(formId);
+  if (!form) return;
+  const isLoan = kind === 'loan';
+  form.querySelectorAll('.card-only').forEach((el) => {
+    el.style.display = isLoan ? 'none' : '';
+  });
+  form.querySelectorAll('.loan-only').forEach((el) => {
+    el.style.display = isLoan ? '' : 'none';
+  });
+}
+
+// --- TASAS VARIABLES (dentro del modal de deuda) ---
+function renderRateSegmentRows() {
+  const el = $('rateSegmentList');
+  if (!el) return;
+  el.innerHTML = editingRateSegments
+    .map(
+      (seg, i) => `
+        <div class="installment-row rate-segment-row">
+          <input type="date" value="${seg.from || ''}"
+            onchange="updateRateSegmentField(${i}, 'from', this.value)" />
+          <input type="number" step="0.01" placeholder="Tasa %" value="${
+            seg.rate ?? ''
+          }" oninput="updateRateSegmentField(${i}, 'rate', this.value)" />
+          <button type="button" class="btn-icon-small" onclick="removeRateSegmentRow(${i})">
+            <span class="material-icons-round">close</span>
+          </button>
+        </div>`
+    )
+    .join('');
+  renderRatePreview();
+}
+
+function addRateSegmentRow() {
+  const form = $('debtForm');
+  editingRateSegments.push({
+    from: state.startDate,
+    rate: parseFloat(form?.elements['rate'].value) || 0
+  });
+  renderRateSegmentRows();
+}
+
+function removeRateSegmentRow(i) {
+  editingRateSegments.splice(i, 1);
+  renderRateSegmentRows();
+}
+
+function updateRateSegmentField(i, field, value) {
+  const seg = editingRateSegments[i];
+  if (!seg) return;
+  seg[field] = field === 'rate' ? parseFloat(value) || 0 : value;
+  renderRatePreview();
+}
+
+// Vista previa de la tasa vigente a lo largo del tiempo (valores del formulario)
+function renderRatePreview() {
+  const el = $('ratePreview');
+  const form = $('debtForm');
+  if (!el || !form) return;
+
+  const draft = {
+    rate: parseFloat(form.elements['rate'].value) || 0,
+    promoRate: parseFloat(form.elements['promoRate'].value) || 0,
+    promoEndDate: form.elements['promoEndDate'].value || null,
+    rateSchedule: editingRateSegments.filter((seg) => seg.from)
+  };
+  const timeline = getRateTimeline(draft, dateFromYMD(state.startDate));
+  el.innerHTML = timeline
+    .map(
+      (t) => `
+        <span class="debt-schedule-pill">
+          Desde ${formatDateShort(t.from)}: ${t.rate}%${t.isPromo ? ' (promo)' : ''}
+        </span>`
+    )
+    .join('<span style="color:var(--text-muted)">→</span>');
+}
+
+// --- MSI EDITOR (dentro del modal de deuda) ---
+function renderInstallmentRows() {
+  const el = $('installmentList');
+  if (!el) return;
+  if (!editingInstallments.length) {
+    el.innerHTML =
+      '<small style="color:var(--text-muted)">Sin compras a MSI.</small>';
+    return;
+  }
+  el.innerHTML = editingInstallments
+    .map((plan, i) => {
+      const monthly =
+        plan.total > 0 && plan.months > 0 ? plan.total / plan.months : 0;
+      return `
+        <div class="installment-row">
+          <input type="text" placeholder="Compra" value="${escapeHtml(plan.name)}"
+            oninput="updateInstallmentField(${i}, 'name', this.value)" />
+          <input type="number" step="0.01" placeholder="Total" value="${
+            plan.total || ''
+          }" oninput="updateInstallmentField(${i}, 'total', this.value)" />
+          <input type="number" min="1" step="1" placeholder="Meses" value="${
+            plan.months || ''
+          }" oninput="updateInstallmentField(${i}, 'months', this.value)" />
+          <input type="date" value="${plan.startDate || ''}"
+            onchange="updateInstallmentField(${i}, 'startDate', this.value)" />
+          <button type="button" class="btn-icon-small" onclick="removeInstallmentRow(${i})">
+            <span class="material-icons-round">close</span>
+          </button>
+          <small>Mensualidad: ${formatMoney(monthly)}</small>
+        </div>`;
+    })
+    .join('');
+}
+
+function addInstallmentRow() {
+  editingInstallments.push({
+    id: Date.now(),
+    name: '',
+    total: 0,
+    months: 12,
+    startDate: state.startDate
+  });
+  renderInstallmentRows();
+}
+
+function removeInstallmentRow(i) {
+  editingInstallments.splice(i, 1);
+  renderInstallmentRows();
+}
+
+function updateInstallmentField(i, field, value) {
+  const plan = editingInstallments[i];
+  if (!plan) return;
+  if (field === 'total') plan.total = parseFloat(value) || 0;
+  else if (field === 'months') plan.months = parseInt(value, 10) || 0;
+  else plan[field] = value;
+
+  // Sólo refrescar la mensualidad (re-render completo perdería el foco)
+  const hint = $('installmentList')?.children[i]?.querySelector('small');
+  if (hint) {
+    const monthly =
+      plan.total > 0 && plan.months > 0 ? plan.total / plan.months : 0;
+    hint.textContent = `Mensualidad: ${formatMoney(monthly)}`;
+  }
+}
+
 function saveItem(type, formData) {
   const newItem = {};
   formData.forEach((v, k) => (newItem[k] = v));
@@ -1547,6 +3312,10 @@ function saveItem(type, formData) {
     newItem.targetAmount = parseFloat(newItem.targetAmount) || 0;
   if (newItem.startingSaved !== undefined)
     newItem.startingSaved = parseFloat(newItem.startingSaved) || 0;
+  if (newItem.annualYield !== undefined)
+    newItem.annualYield = parseFloat(newItem.annualYield) || 0;
+  if (newItem.yieldWithholding !== undefined)
+    newItem.yieldWithholding = parseFloat(newItem.yieldWithholding) || 0;
   if (newItem.priority !== undefined && newItem.priority !== '')
     newItem.priority = parseInt(newItem.priority, 10);
   if (newItem.creditLimit !== undefined) {
@@ -1557,10 +3326,40 @@ function saveItem(type, formData) {
     const parsed = parseFloat(newItem.monthlyMin);
     newItem.monthlyMin = isNaN(parsed) ? 0 : parsed;
   }
+  if (newItem.termMonths !== undefined) {
+    const parsed = parseInt(newItem.termMonths, 10);
+    newItem.termMonths = isNaN(parsed) ? null : parsed;
+  }
+  if (newItem.loanPayment !== undefined) {
+    const parsed = parseFloat(newItem.loanPayment);
+    newItem.loanPayment = isNaN(parsed) ? null : parsed;
+  }
+  if (newItem.lateFee !== undefined)
+    newItem.lateFee = parseFloat(newItem.lateFee) || 0;
+  if (newItem.moratoriumRate !== undefined)
+    newItem.moratoriumRate = parseFloat(newItem.moratoriumRate) || 0;
+  if (newItem.penaltyRate !== undefined) {
+    const parsed = parseFloat(newItem.penaltyRate);
+    newItem.penaltyRate = isNaN(parsed) || parsed <= 0 ? null : parsed;
+  }
+  if (newItem.promoRate !== undefined)
+    newItem.promoRate = parseFloat(newItem.promoRate) || 0;
+  if (newItem.promoEndDate !== undefined)
+    newItem.promoEndDate = newItem.promoEndDate || null;
   if (newItem.dueDay !== undefined && newItem.dueDay !== '') {
     const parsed = parseInt(newItem.dueDay, 10);
     newItem.dueDay = isNaN(parsed) ? null : parsed;
   }
+  if (newItem.growthPct !== undefined) {
+    const parsed = parseFloat(newItem.growthPct);
+    newItem.growthPct = isNaN(parsed) ? null : parsed;
+  }
+  if (newItem.periodSpend !== undefined)
+    newItem.periodSpend = parseFloat(newItem.periodSpend) || 0;
+  if (newItem.cutoffDay !== undefined) {
+    const parsed = parseInt(newItem.cutoffDay, 10);
+    newItem.cutoffDay = isNaN(parsed) ? null : parsed;
+  }
 
   let targetArray =
     type === 'expense'
@@ -1569,6 +3368,8 @@ function saveItem(type, formData) {
       ? state.deductions
       : type === 'goal'
       ? state.goals
+      : type === 'ledger'
+      ? state.ledger
       : state[type + 's'];
 
   if (type === 'debt') {
@@ -1577,6 +3378,20 @@ function saveItem(type, formData) {
     } else {
       newItem.id = Date.now();
     }
+    newItem.kind = newItem.kind === 'loan' ? 'loan' : 'revolving';
+    newItem.interestMode =
+      newItem.interestMode === 'dailyBalance' ? 'dailyBalance' : 'period';
+    // Un checkbox sin marcar no viene en el FormData
+    newItem.spendPaidInFull = newItem.spendPaidInFull === 'on';
+    newItem.rateSchedule = editingRateSegments
+      .filter((seg) => seg.from)
+      .sort((a, b) => compareYMD(a.from, b.from));
+    newItem.installments =
+      newItem.kind === 'loan'
+        ? []
+        : editingInstallments.filter(
+            (plan) => plan.total > 0 && plan.months > 0
+          );
   }
 
   if (type === 'event') {
@@ -1586,6 +3401,32 @@ function saveItem(type, formData) {
       newItem.id = Date.now();
     }
     newItem.type = newItem.type === 'expense' ? 'expense' : 'income';
+    newItem.interval = Math.max(1, parseInt(newItem.interval, 10) || 1);
+    newItem.count = parseInt(newItem.count, 10) > 0
+      ? parseInt(newItem.count, 10)
+      : null;
+    newItem.endDate = newItem.endDate || null;
+  }
+
+  if (type === 'expense' || type === 'deduction') {
+    newItem.startDate = newItem.startDate || null;
+    newItem.endDate = newItem.endDate || null;
+    newItem.remainingPayments =
+      parseInt(newItem.remainingPayments, 10) >= 0
+        ? parseInt(newItem.remainingPayments, 10)
+        : null;
+  }
+
+  if (type === 'ledger') {
+    if (editingIndex !== null && targetArray[editingIndex]?.id != null) {
+      newItem.id = targetArray[editingIndex].id;
+    } else {
+      newItem.id = Date.now();
+    }
+    newItem.type = newItem.type === 'statement' ? 'statement' : 'payment';
+    // El select regresa texto; conservar el id tal como está en la deuda
+    const debt = state.debts.find((d) => String(d.id) === newItem.debtId);
+    newItem.debtId = debt ? debt.id : newItem.debtId;
   }
 
   if (type === 'goal') {
@@ -1597,6 +3438,8 @@ function saveItem(type, formData) {
     if (!newItem.priority || newItem.priority < 1) {
       newItem.priority = targetArray.length + 1;
     }
+    newItem.fundBeforeDebt = newItem.fundBeforeDebt === 'on';
+    newItem.deadline = newItem.deadline || null;
   }
 
   if (editingIndex !== null && editingIndex >= 0) {
@@ -1618,6 +3461,8 @@ function deleteItem(type, index) {
       ? state.deductions
       : type === 'goal'
       ? state.goals
+      : type === 'ledger'
+      ? state.ledger
       : state[type + 's'];
   if (index >= 0 && index < targetArray.length) {
     targetArray.splice(index, 1);
@@ -1717,6 +3562,16 @@ window.addEventListener('load', loadApp);
 
 // Expose for HTML inline handlers
 window.openModal = openModal;
+window.undo = undo;
+window.redo = redo;
+window.openChangeLogModal = openChangeLogModal;
+window.openSnapshotModal = openSnapshotModal;
+window.closeSnapshotModal = closeSnapshotModal;
+window.createSnapshot = createSnapshot;
+window.restoreSnapshot = restoreSnapshot;
+window.deleteSnapshot = deleteSnapshot;
+window.renderPlanDiff = renderPlanDiff;
+window.closeChangeLogModal = closeChangeLogModal;
 window.closeModal = closeModal;
 window.deleteItem = deleteItem;
 window.resetToDefaults = resetToDefaults;
@@ -1726,5 +3581,39 @@ window.deleteCurrentProfile = deleteCurrentProfile;
 window.exportCurrentProfile = exportCurrentProfile;
 window.openChartModal = openChartModal;
 window.closeChartModal = closeChartModal;
+window.openCompareModal = openCompareModal;
+window.closeCompareModal = closeCompareModal;
+window.useStrategy = useStrategy;
+window.openTrackingModal = openTrackingModal;
+window.openConsolidationModal = openConsolidationModal;
+window.closeConsolidationModal = closeConsolidationModal;
+window.openTargetModal = openTargetModal;
+window.closeTargetModal = closeTargetModal;
+window.openStressModal = openStressModal;
+window.closeStressModal = closeStressModal;
+window.openExportModal = openExportModal;
+window.closeExportModal = closeExportModal;
+window.exportScheduleCSV = exportScheduleCSV;
+window.exportCardCSV = exportCardCSV;
+window.exportWorkbook = exportWorkbook;
+window.openImportModal = openImportModal;
+window.closeImportModal = closeImportModal;
+window.updateImportMapping = updateImportMapping;
+window.setImportAction = setImportAction;
+window.confirmImport = confirmImport;
+window.closeTrackingModal = closeTrackingModal;
+window.onDebtDragStart = onDebtDragStart;
+window.onDebtDragOver = onDebtDragOver;
+window.onDebtDrop = onDebtDrop;
+window.setFxRate = setFxRate;
+window.renderDebts = renderDebts;
+window.toggleDebtKindFields = toggleDebtKindFields;
+window.renderRatePreview = renderRatePreview;
+window.addRateSegmentRow = addRateSegmentRow;
+window.removeRateSegmentRow = removeRateSegmentRow;
+window.updateRateSegmentField = updateRateSegmentField;
+window.addInstallmentRow = addInstallmentRow;
+window.removeInstallmentRow = removeInstallmentRow;
+window.updateInstallmentField = updateInstallmentField;
 window.toggleMinBreakdown = toggleMinBreakdown;
 window.openActionPlan = openActionPlan;
\ No newline at end of file
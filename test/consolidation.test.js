@@ -0,0 +1,71 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import {
+  buildConsolidationScenario,
+  compareConsolidation,
+  normalizeState
+} from '../src/engine.js';
+
+const threeCards = () =>
+  normalizeState({
+    startDate: '2026-01-15',
+    grossIncome: 9250,
+    discretionary: 300,
+    debts: [
+      { id: 1, name: 'Didi', balance: 11334.59, rate: 86.5, monthlyMin: 1671 },
+      { id: 2, name: 'Visa', balance: 40000, rate: 45, monthlyMin: 1200 },
+      { id: 3, name: 'Plata', balance: 3000, rate: 60, monthlyMin: 300 }
+    ]
+  });
+
+test('buildConsolidationScenario: el límite de la tarjeta acota saldo + comisión', () => {
+  const scenario = buildConsolidationScenario(threeCards(), {
+    debtIds: [1, 2],
+    kind: 'revolving',
+    rate: 30,
+    openingFeePct: 3,
+    creditLimit: 30000
+  });
+  const feeRate = 0.03 * 1.16;
+  const transferred = 30000 / (1 + feeRate);
+  const byId = Object.fromEntries(scenario.state.debts.map((d) => [d.id, d]));
+
+  assert.ok(Math.abs(scenario.transferred - transferred) < 0.01);
+  assert.ok(Math.abs(scenario.fee - transferred * feeRate) < 0.01);
+  assert.ok(Math.abs(byId.consolidation.balance - 30000) < 0.01);
+  // Didi (mayor tasa) pasa completa; de Visa sólo lo que cabe
+  assert.equal(byId[1], undefined);
+  assert.ok(
+    Math.abs(byId[2].balance - (40000 - (transferred - 11334.59))) < 0.01
+  );
+  assert.ok(Math.abs(scenario.leftOver - byId[2].balance) < 0.01);
+  assert.equal(byId[3].balance, 3000);
+});
+
+test('compareConsolidation: un préstamo necesita plazo', () => {
+  assert.equal(
+    compareConsolidation(threeCards(), {
+      debtIds: [1, 2],
+      kind: 'loan',
+      rate: 20,
+      termMonths: 0
+    }),
+    null
+  );
+});
+
+test('compareConsolidation: un préstamo barato reduce intereses con el mismo flujo', () => {
+  const comparison = compareConsolidation(threeCards(), {
+    debtIds: [1, 2, 3],
+    kind: 'loan',
+    rate: 20,
+    openingFeePct: 2,
+    termMonths: 24
+  });
+  const loan = comparison.consolidated.result.cardHistories.consolidation;
+
+  assert.ok(loan.length > 0);
+  assert.ok(comparison.consolidated.totalCost < comparison.current.totalCost);
+  assert.ok(Math.abs(comparison.consolidated.fees - comparison.fee) < 1e-9);
+});
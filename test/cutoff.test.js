@@ -0,0 +1,53 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { normalizeState, simulate } from '../src/engine.js';
+
+// Sin ingreso: el saldo sólo crece con intereses
+const cardWithCutoff = (interestMode) =>
+  normalizeState({
+    startDate: '2026-01-01',
+    debts: [
+      {
+        id: 1,
+        name: 'Visa',
+        balance: 10000,
+        rate: 36,
+        monthlyMin: 500,
+        dueDay: 28,
+        cutoffDay: 8,
+        interestMode
+      }
+    ]
+  });
+
+test('simulate: con fecha de corte cada estado de cuenta vence en el siguiente dueDay', () => {
+  const obligations = simulate(cardWithCutoff('period'), { maxPeriods: 6 })
+    .minObligations[1];
+
+  assert.deepEqual(
+    obligations.map((ob) => [ob.dueDate.getMonth(), ob.dueDate.getDate()]),
+    [
+      [0, 28],
+      [1, 28],
+      [2, 28]
+    ]
+  );
+});
+
+test('simulate: saldo promedio diario cobra en cada corte por los días del ciclo', () => {
+  const history = simulate(cardWithCutoff('dailyBalance'), { maxPeriods: 6 })
+    .cardHistories[1];
+  const daily = 0.36 / 360;
+  // 8 dic -> 8 ene (31 días) sobre 10,000
+  const january = 10000 * daily * 31;
+  // 8 ene -> 8 feb: el interés de enero (+ IVA) ya genera intereses
+  const february = (10000 + january * 1.16) * daily * 31;
+
+  assert.deepEqual(
+    history.map((h) => h.interest > 0),
+    [false, true, true, false, true, false]
+  );
+  assert.ok(Math.abs(history[1].interest - january) < 0.01);
+  assert.ok(Math.abs(history[2].interest - february) < 0.01);
+});
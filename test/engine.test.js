@@ -0,0 +1,42 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { normalizeState, simulate } from '../src/engine.js';
+
+// Perfil por defecto de la app, sólo con la tarjeta Didi
+const didiState = (overrides = {}) =>
+  normalizeState({
+    startDate: '2026-01-15',
+    grossIncome: 9250,
+    discretionary: 300,
+    debts: [
+      {
+        id: 1,
+        name: 'Didi',
+        balance: 11334.59,
+        rate: 86.5,
+        creditLimit: null,
+        monthlyMin: 1671,
+        dueDay: 24,
+        ...overrides
+      }
+    ]
+  });
+
+test('Didi: el mínimo real (1671) manda sobre la aproximación Banxico', () => {
+  const result = simulate(didiState());
+  const [first] = result.minObligations[1];
+
+  assert.equal(first.dueDate.getDate(), 24);
+  assert.ok(first.banxicoBaseMin < 1671);
+  assert.equal(first.monthlyMin, 1671);
+  assert.equal(first.amountRemaining, 0);
+});
+
+test('Didi: con un mínimo capturado menor se usa el de Banxico', () => {
+  const result = simulate(didiState({ monthlyMin: 100 }));
+  const [first] = result.minObligations[1];
+
+  assert.ok(first.banxicoBaseMin > 100);
+  assert.equal(first.monthlyMin, first.banxicoBaseMin);
+});
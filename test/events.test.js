@@ -0,0 +1,93 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import {
+  getEventOccurrences,
+  getNextOccurrence,
+  normalizeState,
+  simulate
+} from '../src/engine.js';
+
+const ymd = (d) =>
+  `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(
+    d.getDate()
+  ).padStart(2, '0')}`;
+const occurrences = (ev, until) =>
+  getEventOccurrences(ev, new Date(until)).map(ymd);
+
+test('quincena: día ancla y ancla + 15', () => {
+  assert.deepEqual(
+    occurrences({ date: '2026-01-10', frequency: 'quincena' }, '2026-02-28'),
+    ['2026-01-10', '2026-01-25', '2026-02-10', '2026-02-25']
+  );
+});
+
+test('quincena: un inicio el 31 se queda en 15 y fin de mes', () => {
+  assert.deepEqual(
+    occurrences({ date: '2026-01-31', frequency: 'quincena' }, '2026-03-31'),
+    ['2026-01-31', '2026-02-15', '2026-02-28', '2026-03-15', '2026-03-31']
+  );
+});
+
+test('monthly / yearly: el día 31 se recorta al último día del mes', () => {
+  assert.deepEqual(
+    occurrences(
+      { date: '2026-01-31', frequency: 'monthly', interval: 1 },
+      '2026-04-30'
+    ),
+    ['2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30']
+  );
+  assert.deepEqual(
+    occurrences({ date: '2028-02-29', frequency: 'yearly' }, '2030-12-31'),
+    ['2028-02-29', '2029-02-28', '2030-02-28']
+  );
+});
+
+test('days con intervalo, count y endDate', () => {
+  assert.deepEqual(
+    occurrences(
+      { date: '2026-01-01', frequency: 'days', interval: 10, count: 3 },
+      '2026-12-31'
+    ),
+    ['2026-01-01', '2026-01-11', '2026-01-21']
+  );
+  assert.deepEqual(
+    occurrences(
+      { date: '2026-01-01', frequency: 'monthly', endDate: '2026-03-01' },
+      '2026-12-31'
+    ),
+    ['2026-01-01', '2026-02-01', '2026-03-01']
+  );
+  assert.equal(
+    getNextOccurrence(
+      { date: '2026-01-01', frequency: 'monthly', count: 2 },
+      new Date(2026, 2, 1)
+    ),
+    null
+  );
+});
+
+test('simulate: un evento recurrente entra en cada periodo en que cae', () => {
+  const state = normalizeState({
+    startDate: '2026-01-15',
+    grossIncome: 9250,
+    discretionary: 300,
+    debts: [{ id: 1, name: 'Didi', balance: 90000, rate: 86.5 }],
+    events: [
+      {
+        name: 'Renta cuarto',
+        date: '2026-01-20',
+        amount: 1000,
+        type: 'income',
+        frequency: 'monthly',
+        count: 3
+      }
+    ]
+  });
+  const periods = simulate(state).periods.slice(0, 8);
+
+  assert.deepEqual(
+    periods.map((p) => p.income),
+    [9250, 10250, 9250, 10250, 9250, 10250, 9250, 9250]
+  );
+});
@@ -0,0 +1,98 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { buildXLSX, toCSV } from '../src/exporters.js';
+
+// Lee las entradas de un ZIP sin compresión: { [nombre]: texto }
+function readStoredZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder();
+  const files = {};
+  let pos = 0;
+  while (view.getUint32(pos, true) === 0x04034b50) {
+    const size = view.getUint32(pos + 18, true);
+    const nameLength = view.getUint16(pos + 26, true);
+    const name = decoder.decode(
+      bytes.subarray(pos + 30, pos + 30 + nameLength)
+    );
+    const start = pos + 30 + nameLength;
+    files[name] = decoder.decode(bytes.subarray(start, start + size));
+    pos = start + size;
+  }
+  return files;
+}
+
+test('toCSV: BOM, CRLF, comillas y números sin formato', () => {
+  const csv = toCSV([
+    ['Fecha', 'Concepto', 'Monto'],
+    ['2026-01-15', 'OXXO, "Centro"', 1234.5],
+    ['2026-01-31', null, NaN]
+  ]);
+
+  assert.equal(
+    csv,
+    '\uFEFFFecha,Concepto,Monto\r\n' +
+      '2026-01-15,"OXXO, ""Centro""",1234.5\r\n' +
+      '2026-01-31,,'
+  );
+});
+
+test('toCSV: el texto que parece fórmula se exporta como texto', () => {
+  const csv = toCSV([
+    ['=HYPERLINK("x")', '+52 55', '-Retiro', '@SUM(A1)', -500]
+  ]);
+
+  assert.equal(
+    csv,
+    '\uFEFF"\'=HYPERLINK(""x"")",\'+52 55,\'-Retiro,\'@SUM(A1),-500'
+  );
+});
+
+test('buildXLSX: un libro con una hoja por tabla', () => {
+  const files = readStoredZip(
+    buildXLSX([
+      {
+        name: 'Calendario',
+        rows: [
+          ['#', 'Concepto', 'Saldo'],
+          [1, 'Pago <Didi> & co', 1234.5]
+        ],
+        plainColumns: [0]
+      },
+      { name: 'Didi: historial [MXN]', rows: [['Fecha']] },
+      { name: 'Calendario', rows: [] }
+    ])
+  );
+
+  assert.deepEqual(Object.keys(files), [
+    '[Content_Types].xml',
+    '_rels/.rels',
+    'xl/workbook.xml',
+    'xl/_rels/workbook.xml.rels',
+    'xl/styles.xml',
+    'xl/worksheets/sheet1.xml',
+    'xl/worksheets/sheet2.xml',
+    'xl/worksheets/sheet3.xml'
+  ]);
+  // Nombres de hoja válidos y sin repetir
+  assert.match(
+    files['xl/workbook.xml'],
+    /<sheet name="Calendario" sheetId="1"/
+  );
+  assert.match(
+    files['xl/workbook.xml'],
+    /<sheet name="Didi  historial  MXN" sheetId="2"/
+  );
+  assert.match(
+    files['xl/workbook.xml'],
+    /<sheet name="Calendario 2" sheetId="3"/
+  );
+
+  const sheet = files['xl/worksheets/sheet1.xml'];
+  assert.match(sheet, /<c r="A2" s="0"><v>1<\/v><\/c>/);
+  assert.match(sheet, /<c r="C2" s="1"><v>1234.5<\/v><\/c>/);
+  assert.match(
+    sheet,
+    /<t xml:space="preserve">Pago &lt;Didi&gt; &amp; co<\/t>/
+  );
+});
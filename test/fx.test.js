@@ -0,0 +1,70 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import {
+  getFxRate,
+  normalizeState,
+  simulate,
+  toMXNDebt
+} from '../src/engine.js';
+
+const amexPlan = (grossIncome) =>
+  normalizeState({
+    startDate: '2026-01-15',
+    grossIncome,
+    fxRates: { USD: { rate: 18, annualDrift: 10 } },
+    debts: [
+      {
+        id: 1,
+        name: 'Amex',
+        currency: 'USD',
+        balance: 1000,
+        rate: 0,
+        monthlyMin: 100,
+        dueDay: 20,
+        installments: [
+          { name: 'Boletos', total: 600, months: 6, startDate: '2026-01-01' }
+        ]
+      }
+    ]
+  });
+
+test('getFxRate: tipo inicial con deriva anual compuesta', () => {
+  const state = amexPlan(0);
+
+  assert.equal(getFxRate(state, 'USD', new Date(2026, 0, 15)), 18);
+  assert.ok(
+    Math.abs(getFxRate(state, 'USD', new Date(2027, 0, 15)) - 19.8) < 1e-9
+  );
+  assert.equal(getFxRate(state, 'MXN', new Date(2030, 0, 1)), 1);
+  // Sin captura: el tipo por default, sin deriva
+  assert.equal(getFxRate(state, 'EUR', new Date(2027, 0, 1)), 20);
+});
+
+test('toMXNDebt: convierte todos los montos de la deuda', () => {
+  const state = amexPlan(0);
+  const debt = toMXNDebt(state, state.debts[0], new Date(2026, 0, 15));
+
+  assert.equal(debt.balance, 18000);
+  assert.equal(debt.monthlyMin, 1800);
+  assert.equal(debt.installments[0].total, 10800);
+  assert.equal(state.debts[0].balance, 1000);
+});
+
+test('simulate: el saldo en dólares se revalúa cada periodo', () => {
+  const result = simulate(amexPlan(0), { maxPeriods: 4 });
+  const history = result.cardHistories[1];
+
+  // 1,000 revolventes + 600 de MSI
+  assert.equal(result.totalDebtStart, 1600 * 18);
+  history.forEach((h, i) => {
+    assert.ok(Math.abs(h.endingBalance - 1600 * h.fxRate) < 0.01);
+    if (i > 0)
+      assert.ok(
+        Math.abs(
+          h.fxAdjustment - (h.endingBalance - history[i - 1].endingBalance)
+        ) < 0.01
+      );
+  });
+  assert.ok(history[3].fxRate > 18);
+});
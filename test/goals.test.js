@@ -0,0 +1,85 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { getGoalProjections, normalizeState, simulate } from '../src/engine.js';
+
+// Sin deudas: todo el excedente (3,000 por quincena) va a metas
+const savingsPlan = (goals) =>
+  normalizeState({ startDate: '2026-01-15', grossIncome: 3000, goals });
+
+test('goalHistories: aportes por periodo hasta completar la meta', () => {
+  const state = savingsPlan([
+    { id: 1, name: 'Fondo', targetAmount: 10000, priority: 1 }
+  ]);
+  const history = simulate(state).goalHistories[1];
+
+  // Con la meta completa y sin deudas la simulación termina
+  assert.deepEqual(
+    history.map((h) => h.contribution),
+    [3000, 3000, 3000, 1000]
+  );
+  assert.equal(history[3].endingSaved, 10000);
+});
+
+test('getGoalProjections: fecha de término y faltante a la fecha límite', () => {
+  const state = savingsPlan([
+    {
+      id: 1,
+      name: 'Fondo',
+      targetAmount: 10000,
+      priority: 1,
+      deadline: '2026-02-15'
+    },
+    {
+      id: 2,
+      name: 'Auto',
+      targetAmount: 20000,
+      startingSaved: 1000,
+      priority: 2,
+      deadline: '2027-12-31'
+    }
+  ]);
+  const [fondo, auto] = getGoalProjections(state, simulate(state));
+
+  assert.equal(fondo.completionDate.getMonth(), 1);
+  assert.equal(fondo.completionDate.getDate(), 28);
+  assert.equal(fondo.missesDeadline, true);
+  assert.equal(fondo.savedAtDeadline, 9000);
+  assert.equal(fondo.shortfall, 1000);
+  // 15 ene, 31 ene y 15 feb
+  assert.equal(fondo.periodsToDeadline, 3);
+  assert.ok(Math.abs(fondo.extraPerPeriod - 1000 / 3) < 0.01);
+
+  assert.equal(auto.missesDeadline, false);
+  assert.equal(auto.shortfall, 0);
+});
+
+test('annualYield: capitaliza cada periodo y descuenta la retención', () => {
+  const state = normalizeState({
+    startDate: '2026-01-15',
+    grossIncome: 1000,
+    goals: [
+      {
+        id: 1,
+        name: 'CETES',
+        targetAmount: 100000,
+        startingSaved: 50000,
+        annualYield: 12,
+        yieldWithholding: 1.2
+      }
+    ]
+  });
+  const result = simulate(state);
+  const [first, second] = result.goalHistories[1];
+  const [projection] = getGoalProjections(state, result);
+  const netRate = (12 - 1.2) / 100 / 24;
+
+  // Rendimiento sobre lo ahorrado antes del aporte del periodo
+  assert.ok(Math.abs(first.earnings - 50000 * netRate) < 1e-9);
+  assert.ok(Math.abs(second.earnings - 51225 * netRate) < 1e-9);
+  assert.equal(result.periods[0].goalEarnings, first.earnings);
+  assert.ok(
+    Math.abs(projection.totalContributions + projection.totalEarnings - 50000) <
+      1
+  );
+});
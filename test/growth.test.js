@@ -0,0 +1,51 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { getBaseCashflow, normalizeState } from '../src/engine.js';
+
+const close = (actual, expected) =>
+  assert.ok(Math.abs(actual - expected) < 0.01, `${actual} no es ${expected}`);
+
+const growingPlan = () =>
+  normalizeState({
+    startDate: '2026-01-15',
+    grossIncome: 10000,
+    discretionary: 1000,
+    annualRaisePct: 5,
+    raiseMonth: 3,
+    expenseInflationPct: 4,
+    deductions: [
+      { name: 'Fonacot', amount: 500 },
+      { name: 'Pensión', amount: 1000, growthPct: 5 }
+    ],
+    fixedExpenses: [
+      { name: 'Renta', amount: 4000 },
+      { name: 'Internet', amount: 500, growthPct: 0 }
+    ]
+  });
+
+test('getBaseCashflow: el aumento llega el 1 de raiseMonth', () => {
+  const state = growingPlan();
+  const before = getBaseCashflow(state, new Date(2026, 1, 28));
+  const after = getBaseCashflow(state, new Date(2026, 2, 1));
+
+  close(before.net, 10000 - 1500);
+  // La deducción sin growthPct se queda fija; la pensión crece con el sueldo
+  close(after.net, 10500 - 500 - 1050);
+  close(
+    getBaseCashflow(state, new Date(2028, 2, 1)).net,
+    10000 * 1.05 ** 3 - 500 - 1000 * 1.05 ** 3
+  );
+});
+
+test('getBaseCashflow: la inflación se aplica en cada aniversario del plan', () => {
+  const state = growingPlan();
+  const firstYear = getBaseCashflow(state, new Date(2027, 0, 14));
+  const secondYear = getBaseCashflow(state, new Date(2027, 0, 15));
+
+  close(firstYear.fixed, 4500);
+  close(firstYear.discretionary, 1000);
+  // Internet fija su propio 0%; la renta sigue la inflación del perfil
+  close(secondYear.fixed, 4000 * 1.04 + 500);
+  close(secondYear.discretionary, 1040);
+});
@@ -0,0 +1,127 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { normalizeState, simulate } from '../src/engine.js';
+import {
+  escapeHtml,
+  findHeaderRow,
+  guessCsvMapping,
+  mapCsvRows,
+  parseBankAmount,
+  parseBankDate,
+  parseCSV,
+  parseOFX
+} from '../src/importers.js';
+
+test('parseBankDate: formatos de bancos mexicanos', () => {
+  assert.equal(parseBankDate('05/03/2026'), '2026-03-05');
+  assert.equal(parseBankDate('5-3-26'), '2026-03-05');
+  assert.equal(parseBankDate('2026-03-05'), '2026-03-05');
+  assert.equal(parseBankDate('15-ene-2026'), '2026-01-15');
+  assert.equal(parseBankDate('20260305120000[-6:CST]'), '2026-03-05');
+  assert.equal(parseBankDate('Total'), null);
+  assert.equal(parseBankDate('31/13/2026'), null);
+});
+
+test('parseBankAmount: el signo se respeta en todas sus formas', () => {
+  assert.equal(parseBankAmount('$1,234.56'), 1234.56);
+  assert.equal(parseBankAmount('$-1,234.56'), -1234.56);
+  assert.equal(parseBankAmount('MXN -500'), -500);
+  assert.equal(parseBankAmount('(1,234.56)'), -1234.56);
+  assert.equal(parseBankAmount('1,234.56-'), -1234.56);
+  assert.equal(parseBankAmount('1234.56 M.N.'), 1234.56);
+  assert.equal(parseBankAmount(''), null);
+  assert.equal(parseBankAmount('N/A'), null);
+});
+
+test('parseCSV: comillas, comillas escapadas y CRLF', () => {
+  const rows = parseCSV(
+    'Fecha,Concepto,Importe\r\n01/02/2026,"OXXO, SUC ""CENTRO""","-1,200.00"\r\n'
+  );
+
+  assert.deepEqual(rows, [
+    ['Fecha', 'Concepto', 'Importe'],
+    ['01/02/2026', 'OXXO, SUC "CENTRO"', '-1,200.00']
+  ]);
+  assert.deepEqual(parseCSV('a;b\n1;2'), [
+    ['a', 'b'],
+    ['1', '2']
+  ]);
+});
+
+test('findHeaderRow: se salta los datos de la cuenta antes de la tabla', () => {
+  const rows = parseCSV(
+    [
+      'Estado de cuenta',
+      'Cuenta,****1234',
+      'Fecha,Descripción,Cargo,Abono,Saldo',
+      '03/02/2026,SPOTIFY,129.00,,4871.00',
+      '04/02/2026,NOMINA,,9250.00,14121.00'
+    ].join('\n')
+  );
+  const headerRow = findHeaderRow(rows);
+  const mapping = guessCsvMapping(rows[headerRow]);
+  const txs = mapCsvRows(rows.slice(headerRow + 1), mapping);
+
+  assert.equal(headerRow, 2);
+  assert.deepEqual(
+    txs.map((t) => [t.date, t.amount, t.balance]),
+    [
+      ['2026-02-03', -129, 4871],
+      ['2026-02-04', 9250, 14121]
+    ]
+  );
+});
+
+test('parseOFX: movimientos, saldo y archivo de tarjeta (SGML)', () => {
+  const ofx = `OFXHEADER:100
+<OFX><CREDITCARDMSGSRSV1><CCSTMTTRNRS><CCSTMTRS>
+<BANKTRANLIST>
+<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20260210<TRNAMT>-350.50<NAME>AMAZON<MEMO>MKT
+<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20260224<TRNAMT>1671.00<NAME>PAGO
+</BANKTRANLIST>
+<LEDGERBAL><BALAMT>-9663.59<DTASOF>20260228
+</CCSTMTRS></CCSTMTTRNRS></CREDITCARDMSGSRSV1></OFX>`;
+  const parsed = parseOFX(ofx);
+
+  assert.equal(parsed.isCreditCard, true);
+  assert.deepEqual(parsed.transactions, [
+    {
+      date: '2026-02-10',
+      description: 'AMAZON · MKT',
+      amount: -350.5,
+      balance: null
+    },
+    { date: '2026-02-24', description: 'PAGO', amount: 1671, balance: null }
+  ]);
+  assert.deepEqual(parsed.balance, { amount: -9663.59, date: '2026-02-28' });
+});
+
+test('Importación: un concepto con HTML llega escapado a la tabla', () => {
+  const rows = parseCSV(
+    'Fecha,Concepto,Importe\n20/01/2026,"<img src=x onerror=alert(1)>",-500'
+  );
+  const [tx] = mapCsvRows(rows.slice(1), guessCsvMapping(rows[0]));
+  const state = normalizeState({
+    startDate: '2026-01-15',
+    grossIncome: 9250,
+    debts: [
+      { id: 1, name: 'Didi', balance: 11334.59, rate: 86.5, monthlyMin: 1671 }
+    ],
+    events: [
+      {
+        id: 1,
+        name: tx.description,
+        date: tx.date,
+        amount: Math.abs(tx.amount),
+        type: 'expense',
+        frequency: 'once'
+      }
+    ]
+  });
+  const row = simulate(state).periods.find((r) => r.notes);
+
+  assert.match(row.notes, /<img/);
+  assert.doesNotMatch(escapeHtml(row.notes), /<img/);
+  assert.equal(escapeHtml(`"'&`), '&quot;&#39;&amp;');
+});
@@ -0,0 +1,110 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import {
+  getItemSchedule,
+  normalizeState,
+  simulate,
+  solveForFreedomDate
+} from '../src/engine.js';
+
+// Sin deudas y con una meta enorme: la simulación corre todo el horizonte
+const planWith = (fixedExpenses, deductions = []) =>
+  normalizeState({
+    startDate: '2026-01-15',
+    grossIncome: 10000,
+    fixedExpenses,
+    deductions,
+    goals: [{ id: 1, name: 'Retiro', targetAmount: 1e9 }]
+  });
+const expenses = (state, count) =>
+  simulate(state)
+    .periods.slice(0, count)
+    .map((p) => p.expenses);
+
+test('remainingPayments con startDate pasada cuenta desde el inicio del plan', () => {
+  const state = planWith([
+    {
+      name: 'Tanda',
+      amount: 1000,
+      startDate: '2025-06-01',
+      remainingPayments: 3
+    }
+  ]);
+
+  assert.deepEqual(getItemSchedule(state, state.fixedExpenses[0]), {
+    firstPeriod: 1,
+    lastPeriod: 3
+  });
+  assert.deepEqual(expenses(state, 5), [1000, 1000, 1000, 0, 0]);
+});
+
+test('startDate futura: cuenta desde el periodo en que empieza', () => {
+  const state = planWith(
+    [{ name: 'Colegiatura', amount: 2000, startDate: '2026-02-10' }],
+    [
+      {
+        name: 'Nómina',
+        amount: 500,
+        startDate: '2026-02-01',
+        remainingPayments: 2
+      }
+    ]
+  );
+
+  assert.deepEqual(getItemSchedule(state, state.fixedExpenses[0]), {
+    firstPeriod: 3,
+    lastPeriod: null
+  });
+  assert.deepEqual(getItemSchedule(state, state.deductions[0]), {
+    firstPeriod: 3,
+    lastPeriod: 4
+  });
+  assert.deepEqual(
+    simulate(state)
+      .periods.slice(0, 5)
+      .map((p) => p.income),
+    [10000, 10000, 9500, 9500, 10000]
+  );
+});
+
+test('endDate: cuenta hasta el periodo que la incluye', () => {
+  const state = planWith([
+    { name: 'Gimnasio', amount: 600, endDate: '2026-02-20' }
+  ]);
+
+  assert.deepEqual(getItemSchedule(state, state.fixedExpenses[0]), {
+    firstPeriod: 1,
+    lastPeriod: 4
+  });
+  // (15 feb, 28 feb] todavía incluye el 20 de febrero
+  assert.deepEqual(expenses(state, 5), [600, 600, 600, 600, 0]);
+});
+
+test('solveForFreedomDate: el recorte se mide contra los gastos de cada periodo', () => {
+  const state = normalizeState({
+    startDate: '2026-01-15',
+    grossIncome: 9250,
+    discretionary: 1000,
+    fixedExpenses: [
+      { name: 'Renta', amount: 3000 },
+      { name: 'Crédito', amount: 2000, remainingPayments: 2 }
+    ],
+    debts: [
+      {
+        id: 1,
+        name: 'Visa',
+        balance: 60000,
+        rate: 45,
+        monthlyMin: 1500,
+        dueDay: 20
+      }
+    ]
+  });
+  const solution = solveForFreedomDate(state, '2026-04-15');
+
+  // Cabe en el primer periodo (6,000) pero no cuando termina el crédito (4,000)
+  assert.equal(solution.status, 'solved');
+  assert.ok(solution.extraPerPeriod > 4000 && solution.extraPerPeriod < 6000);
+  assert.equal(solution.cutFeasible, false);
+});
@@ -0,0 +1,56 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { comparePlanVsActual, normalizeState } from '../src/engine.js';
+
+const withLedger = (ledger) =>
+  normalizeState({
+    startDate: '2026-01-15',
+    grossIncome: 5000,
+    debts: [
+      {
+        id: 1,
+        name: 'Visa',
+        balance: 20000,
+        rate: 60,
+        monthlyMin: 1000,
+        dueDay: 20
+      }
+    ],
+    ledger
+  });
+
+test('comparePlanVsActual: los pagos reales sustituyen al plan hasta el último registro', () => {
+  const tracking = comparePlanVsActual(
+    withLedger([
+      { date: '2026-01-20', debtId: 1, type: 'payment', amount: 1000 },
+      { date: '2026-02-10', debtId: 1, type: 'payment', amount: 1500 }
+    ])
+  );
+
+  assert.deepEqual(
+    tracking.rows.map((r) => Math.round(r.actualPaid)),
+    [0, 1000, 1500]
+  );
+  assert.ok(tracking.rows.every((r) => r.plannedPaid === 5000));
+  assert.equal(tracking.status, 'behind');
+  assert.ok(tracking.balanceDiff > 0);
+  assert.ok(tracking.freedomShiftPeriods > 0);
+  // Después del último registro se proyecta normal
+  assert.equal(tracking.actual.periods[3].actual, false);
+  assert.ok(tracking.actual.periods[3].totalStrategy > 0);
+});
+
+test('comparePlanVsActual: el estado de cuenta reemplaza el saldo', () => {
+  const tracking = comparePlanVsActual(
+    withLedger([
+      { date: '2026-01-25', debtId: 1, type: 'statement', amount: 15000 }
+    ])
+  );
+  const [, second] = tracking.actual.cardHistories[1];
+
+  assert.equal(tracking.rows.length, 2);
+  assert.ok(Math.abs(tracking.rows[1].actualBalance - 15000) < 0.01);
+  assert.ok(second.adjustment < 0);
+  assert.ok(Math.abs(second.endingBalance - 15000) < 0.01);
+});
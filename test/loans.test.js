@@ -0,0 +1,63 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import {
+  computeLoanPayment,
+  getScheduledPayment,
+  normalizeState,
+  simulate
+} from '../src/engine.js';
+
+const carLoan = (overrides = {}) =>
+  normalizeState({
+    startDate: '2026-01-15',
+    grossIncome: 3000,
+    debts: [
+      {
+        id: 1,
+        name: 'Auto',
+        kind: 'loan',
+        balance: 60000,
+        rate: 24,
+        termMonths: 24,
+        dueDay: 10,
+        ...overrides
+      }
+    ]
+  });
+
+test('computeLoanPayment: amortización francesa con IVA sobre el interés', () => {
+  const i = (0.24 / 12) * 1.16;
+  const expected = (60000 * i) / (1 - Math.pow(1 + i, -24));
+
+  assert.ok(Math.abs(computeLoanPayment(60000, 24, 24) - expected) < 1e-9);
+  assert.equal(computeLoanPayment(12000, 0, 12), 1000);
+  assert.equal(computeLoanPayment(0, 24, 12), 0);
+  assert.equal(
+    getScheduledPayment({ kind: 'loan', loanPayment: 2500, balance: 60000 }),
+    2500
+  );
+});
+
+test('simulate: la obligación del crédito es el pago fijo, sin Banxico', () => {
+  const [first] = simulate(carLoan()).minObligations[1];
+
+  assert.ok(
+    Math.abs(first.monthlyMin - computeLoanPayment(60000, 24, 24)) < 0.01
+  );
+  assert.equal(first.banxicoBaseMin, 0);
+});
+
+test('simulate: el prepago acorta el plazo o baja el pago según la política', () => {
+  const payments = (policy) =>
+    simulate(carLoan({ prepaymentPolicy: policy }))
+      .minObligations[1].slice(0, 4)
+      .map((ob) => ob.monthlyMin);
+  const reduceTerm = payments('reduceTerm');
+  const reducePayment = payments('reducePayment');
+
+  assert.ok(reduceTerm.every((p) => Math.abs(p - reduceTerm[0]) < 0.01));
+  assert.equal(reducePayment[0], reduceTerm[0]);
+  assert.ok(reducePayment[1] < reducePayment[0]);
+  assert.ok(reducePayment[3] < reducePayment[2]);
+});
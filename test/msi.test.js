@@ -0,0 +1,78 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import {
+  getInstallmentDue,
+  getInstallmentOutstanding,
+  normalizeState,
+  simulate
+} from '../src/engine.js';
+
+const laptop = {
+  name: 'Laptop',
+  total: 12000,
+  months: 12,
+  startDate: '2026-01-01'
+};
+
+test('getInstallmentDue / getInstallmentOutstanding: mensualidades por vencimiento', () => {
+  const debt = { dueDay: 20, installments: [laptop] };
+
+  assert.equal(getInstallmentDue(debt, new Date(2026, 0, 20)), 1000);
+  assert.equal(getInstallmentDue(debt, new Date(2026, 11, 20)), 1000);
+  assert.equal(getInstallmentDue(debt, new Date(2027, 0, 20)), 0);
+  assert.equal(getInstallmentOutstanding(debt, new Date(2026, 0, 15)), 12000);
+  assert.equal(getInstallmentOutstanding(debt, new Date(2026, 3, 15)), 9000);
+});
+
+test('simulate: el MSI no genera intereses ni se adelanta con la estrategia', () => {
+  const state = normalizeState({
+    startDate: '2026-01-15',
+    grossIncome: 20000,
+    debts: [
+      {
+        id: 1,
+        name: 'Visa',
+        balance: 0,
+        rate: 60,
+        dueDay: 20,
+        installments: [laptop]
+      }
+    ]
+  });
+  const result = simulate(state);
+  const history = result.cardHistories[1];
+  const [first] = result.minObligations[1];
+
+  assert.equal(first.msiDue, 1000);
+  assert.equal(result.totalInterestPaid, 0);
+  assert.ok(history.every((h) => h.extraPaid === 0));
+  assert.ok(
+    Math.abs(history.reduce((s, h) => s + h.msiPaid, 0) - 12000) < 0.01
+  );
+  // La última mensualidad (20 dic) se cubre en el periodo en que se genera
+  assert.ok(result.freedomDate >= new Date(2026, 10, 21));
+  assert.ok(result.freedomDate <= new Date(2026, 11, 20));
+});
+
+test('simulate: el excedente ataca sólo el saldo revolvente', () => {
+  const state = normalizeState({
+    startDate: '2026-01-15',
+    grossIncome: 20000,
+    debts: [
+      {
+        id: 1,
+        name: 'Visa',
+        balance: 5000,
+        rate: 60,
+        dueDay: 20,
+        installments: [laptop]
+      }
+    ]
+  });
+  const history = simulate(state).cardHistories[1];
+  const revolvingPaidOff = history.findIndex((h) => h.endingBalance <= 11000.5);
+
+  assert.ok(revolvingPaidOff >= 0 && revolvingPaidOff < 2);
+  assert.ok(history.slice(revolvingPaidOff + 1).every((h) => h.interest === 0));
+});
@@ -0,0 +1,62 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import {
+  getMaxPeriods,
+  getNextPeriodEnd,
+  normalizeState,
+  simulate
+} from '../src/engine.js';
+
+const ymd = (d) =>
+  `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(
+    d.getDate()
+  ).padStart(2, '0')}`;
+
+test('getNextPeriodEnd: calendario de cada frecuencia', () => {
+  const start = new Date(2026, 0, 31);
+
+  assert.equal(ymd(getNextPeriodEnd(start, 'weekly', start)), '2026-02-07');
+  assert.equal(ymd(getNextPeriodEnd(start, 'biweekly', start)), '2026-02-14');
+  assert.equal(ymd(getNextPeriodEnd(start, 'quincenal', start)), '2026-02-15');
+  assert.equal(ymd(getNextPeriodEnd(start, 'monthly', start)), '2026-02-28');
+  assert.equal(
+    ymd(getNextPeriodEnd(new Date(2026, 1, 28), 'monthly', start)),
+    '2026-03-31'
+  );
+  assert.equal(getMaxPeriods('weekly'), 260);
+  assert.equal(getMaxPeriods('otra'), 120);
+});
+
+test('simulate: el interés del periodo es tasa anual / periodos por año', () => {
+  const firstInterest = (payFrequency) => {
+    const state = normalizeState({
+      startDate: '2026-01-15',
+      grossIncome: 20000,
+      payFrequency,
+      debts: [{ id: 1, name: 'Visa', balance: 100000, rate: 48 }]
+    });
+    const [first] = simulate(state).cardHistories[1];
+    return first.interest;
+  };
+
+  assert.ok(Math.abs(firstInterest('monthly') - 4000) < 0.01);
+  assert.ok(Math.abs(firstInterest('quincenal') - 2000) < 0.01);
+  assert.ok(Math.abs(firstInterest('weekly') - (100000 * 0.48) / 52) < 0.01);
+});
+
+test('simulate: una fila por periodo según la frecuencia del perfil', () => {
+  const state = normalizeState({
+    startDate: '2026-01-15',
+    grossIncome: 1000,
+    payFrequency: 'biweekly',
+    debts: [{ id: 1, name: 'Visa', balance: 900000, rate: 48 }]
+  });
+  const result = simulate(state);
+
+  assert.equal(result.periods.length, getMaxPeriods('biweekly'));
+  assert.deepEqual(
+    result.periods.slice(0, 3).map((p) => ymd(p.date)),
+    ['2026-01-15', '2026-01-29', '2026-02-12']
+  );
+});
@@ -0,0 +1,72 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { normalizeState, simulate } from '../src/engine.js';
+
+const close = (actual, expected) =>
+  assert.ok(Math.abs(actual - expected) < 0.01, `${actual} no es ${expected}`);
+
+test('simulate: comisión por atraso una vez por obligación y moratorios sobre lo vencido', () => {
+  // Sin ingreso: ninguna obligación se cubre
+  const state = normalizeState({
+    startDate: '2026-01-01',
+    debts: [
+      {
+        id: 1,
+        name: 'Visa',
+        balance: 10000,
+        rate: 60,
+        monthlyMin: 800,
+        dueDay: 5,
+        lateFee: 300,
+        moratoriumRate: 36
+      }
+    ]
+  });
+  const result = simulate(state, { maxPeriods: 4 });
+  const penalties = result.periods.map((p) => p.penalties);
+  const moratorium = (overdue) => ((overdue * 0.36) / 24) * 1.16;
+
+  assert.equal(penalties[0], 0);
+  // 5 ene vencido: comisión + moratorio sobre 800
+  close(penalties[1], 300 * 1.16 + moratorium(800));
+  // 5 feb vencido: otra comisión; moratorio sobre las dos mensualidades
+  close(penalties[2], 300 * 1.16 + moratorium(1600));
+  // Sin vencimientos nuevos: sólo moratorio
+  close(penalties[3], moratorium(1600));
+  close(
+    result.totalPenalties,
+    penalties.reduce((s, p) => s + p, 0)
+  );
+});
+
+test('simulate: la tasa penalizada se quita al pagar completo y a tiempo', () => {
+  const state = normalizeState({
+    startDate: '2026-01-01',
+    grossIncome: 2500,
+    events: [
+      { name: 'Gasto', date: '2026-01-01', amount: 3000, type: 'expense' },
+      { name: 'Gasto', date: '2026-01-31', amount: 3000, type: 'expense' }
+    ],
+    debts: [
+      {
+        id: 1,
+        name: 'Visa',
+        balance: 10000,
+        rate: 60,
+        monthlyMin: 800,
+        dueDay: 5,
+        creditLimit: 200000,
+        penaltyRate: 120,
+        lateFee: 300
+      }
+    ]
+  });
+  const history = simulate(state).cardHistories[1];
+  const periodRate = (h) => (h.interest / h.startingBalance) * 24 * 100;
+
+  // 15 feb: ya con atrasos, tasa penalizada
+  assert.ok(periodRate(history[2]) > 110);
+  // 31 mar: el 5 mar se pagó completo y a tiempo, vuelve la tasa normal
+  assert.ok(Math.abs(periodRate(history[5]) - 60) < 1);
+});
@@ -0,0 +1,52 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { comparePlans, normalizeState, simulate } from '../src/engine.js';
+
+const plan = (overrides = {}) =>
+  normalizeState({
+    startDate: '2026-01-15',
+    grossIncome: 9250,
+    discretionary: 300,
+    debts: [
+      { id: 1, name: 'Didi', balance: 11334.59, rate: 86.5, monthlyMin: 1671 },
+      { id: 2, name: 'Visa', balance: 40000, rate: 45, monthlyMin: 1200 }
+    ],
+    ...overrides
+  });
+
+test('comparePlans: diferencias de b respecto a a', () => {
+  const a = plan();
+  const b = plan({ discretionary: 2300 });
+  const diff = comparePlans(a, b);
+  const resultA = simulate(a);
+  const resultB = simulate(b);
+
+  assert.equal(diff.a.totalInterestPaid, resultA.totalInterestPaid);
+  assert.equal(
+    diff.interestDiff,
+    resultB.totalInterestPaid - resultA.totalInterestPaid
+  );
+  assert.ok(diff.interestDiff > 0);
+  assert.equal(
+    diff.freedomShiftDays,
+    Math.round((resultB.freedomDate - resultA.freedomDate) / 86400000)
+  );
+  assert.ok(diff.freedomShiftDays > 0);
+  assert.equal(diff.debtStartDiff, 0);
+});
+
+test('comparePlans: cada plan con su propia estrategia y sin fecha de libertad', () => {
+  const diff = comparePlans(
+    plan({ strategy: 'avalanche' }),
+    plan({ grossIncome: 1000 })
+  );
+
+  assert.equal(diff.b.freedomDate, null);
+  assert.equal(diff.b.periodsToFreedom, null);
+  assert.equal(diff.freedomShiftDays, null);
+  assert.equal(
+    diff.a.totalInterestPaid,
+    simulate(plan({ strategy: 'avalanche' })).totalInterestPaid
+  );
+});
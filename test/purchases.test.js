@@ -0,0 +1,63 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { normalizeState, simulate } from '../src/engine.js';
+
+const spendingCard = (grossIncome, spendPaidInFull) =>
+  normalizeState({
+    startDate: '2026-01-15',
+    grossIncome,
+    debts: [
+      {
+        id: 1,
+        name: 'Visa',
+        balance: 20000,
+        rate: 60,
+        monthlyMin: 1000,
+        dueDay: 20,
+        periodSpend: 2000,
+        spendPaidInFull
+      }
+    ]
+  });
+
+test('simulate: las compras del periodo se suman al saldo después del interés', () => {
+  const result = simulate(spendingCard(6000, false), { maxPeriods: 2 });
+  const [first] = result.cardHistories[1];
+
+  assert.equal(result.periods[0].purchases, 2000);
+  assert.equal(result.periods[0].purchasesPaid, 0);
+  assert.equal(first.interest, 500);
+  assert.ok(
+    Math.abs(
+      first.endingBalance -
+        (20000 + 500 * 1.16 + 2000 - first.minPaid - first.extraPaid)
+    ) < 0.01
+  );
+});
+
+test('simulate: las compras de totalero se pagan aparte de los mínimos', () => {
+  const revolving = simulate(spendingCard(6000, false), { maxPeriods: 4 });
+  const paidInFull = simulate(spendingCard(6000, true), { maxPeriods: 4 });
+
+  paidInFull.periods.forEach((row, i) => {
+    assert.equal(row.purchasesPaid, 2000);
+    assert.equal(row.paidMins, revolving.periods[i].paidMins);
+    assert.ok(
+      Math.abs(
+        row.totalStrategy - (revolving.periods[i].totalStrategy - 2000)
+      ) < 0.01
+    );
+    assert.equal(paidInFull.cardHistories[1][i].purchasesPaid, 2000);
+  });
+});
+
+test('simulate: lo que no alcanza de las compras de totalero queda revolvente', () => {
+  const result = simulate(spendingCard(2000, true), { maxPeriods: 2 });
+  const [first] = result.cardHistories[1];
+
+  // 2,000 de ingreso - 1,460 de mínimo = 540 para las compras
+  assert.ok(Math.abs(first.minPaid - 1460) < 0.01);
+  assert.ok(Math.abs(first.purchasesPaid - 540) < 0.01);
+  assert.ok(Math.abs(first.endingBalance - (20000 + 580 + 2000 - 2000)) < 0.01);
+});
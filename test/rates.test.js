@@ -0,0 +1,73 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import {
+  getRateAt,
+  getRateTimeline,
+  normalizeState,
+  simulate
+} from '../src/engine.js';
+
+test('getRateAt: toma el último cambio vigente sin importar el orden', () => {
+  const debt = {
+    rate: 60,
+    rateSchedule: [
+      { from: '2027-03-01', rate: 90 },
+      { from: '2026-09-01', rate: 75 }
+    ]
+  };
+
+  assert.equal(getRateAt(debt, new Date(2026, 6, 1)), 60);
+  assert.equal(getRateAt(debt, new Date(2026, 11, 1)), 75);
+  assert.equal(getRateAt(debt, new Date(2027, 3, 1)), 90);
+});
+
+test('getRateAt / getRateTimeline: la promoción manda hasta su fecha fin', () => {
+  const debt = {
+    rate: 45,
+    promoEndDate: '2026-06-30',
+    promoRate: 0,
+    rateSchedule: [{ from: '2026-03-01', rate: 55 }]
+  };
+
+  assert.equal(getRateAt(debt, new Date(2026, 5, 30)), 0);
+  assert.equal(getRateAt(debt, new Date(2026, 6, 1)), 55);
+  assert.deepEqual(
+    getRateTimeline(debt, new Date(2026, 0, 15)).map((t) => [
+      t.from.getMonth(),
+      t.rate,
+      t.isPromo
+    ]),
+    [
+      [0, 0, true],
+      [6, 55, false]
+    ]
+  );
+});
+
+test('simulate: sin intereses durante la promoción, con tasa después', () => {
+  const state = normalizeState({
+    startDate: '2026-01-15',
+    grossIncome: 9250,
+    discretionary: 300,
+    debts: [
+      {
+        id: 1,
+        name: 'Transferencia',
+        balance: 80000,
+        rate: 40,
+        monthlyMin: 500,
+        dueDay: 20,
+        promoEndDate: '2026-04-30',
+        promoRate: 0
+      }
+    ]
+  });
+  const history = simulate(state, { strategy: 'snowball' }).cardHistories[1];
+  const promo = history.filter((h) => h.date <= new Date(2026, 3, 30));
+  const after = history.find((h) => h.date > new Date(2026, 3, 30));
+
+  assert.ok(promo.length > 0);
+  assert.ok(promo.every((h) => h.interest === 0));
+  assert.ok(after.interest > 0);
+});
@@ -0,0 +1,86 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import {
+  normalizeState,
+  simulate,
+  solveForFreedomDate
+} from '../src/engine.js';
+
+const visaPlan = (debt = {}) =>
+  normalizeState({
+    startDate: '2026-01-15',
+    grossIncome: 9250,
+    discretionary: 1000,
+    fixedExpenses: [{ name: 'Renta', amount: 3000 }],
+    debts: [
+      {
+        id: 1,
+        name: 'Visa',
+        balance: 60000,
+        rate: 45,
+        monthlyMin: 1500,
+        dueDay: 20,
+        ...debt
+      }
+    ]
+  });
+
+// El mismo flujo extra que usa el solver
+const withExtra = (state, extra) =>
+  simulate(state, {
+    shocks: new Array(120).fill({ incomeFactor: 1, expense: -extra })
+  });
+
+test('solveForFreedomDate: el plan actual ya cumple', () => {
+  const solution = solveForFreedomDate(visaPlan(), '2030-01-01');
+
+  assert.equal(solution.status, 'onTrack');
+  assert.equal(solution.extraPerPeriod, 0);
+});
+
+test('solveForFreedomDate: el extra mínimo para llegar a la fecha', () => {
+  const state = visaPlan();
+  const target = new Date(2026, 5, 30);
+  const solution = solveForFreedomDate(state, '2026-06-30');
+
+  assert.equal(solution.status, 'solved');
+  assert.ok(solution.baselineFreedomDate > target);
+  assert.ok(solution.solvedFreedomDate <= target);
+  assert.ok(withExtra(state, solution.extraPerPeriod).freedomDate <= target);
+  assert.ok(withExtra(state, solution.extraPerPeriod - 2).freedomDate > target);
+  // Primero se recorta el discrecional, luego los gastos fijos
+  assert.equal(
+    solution.cutFromDiscretionary,
+    Math.min(solution.extraPerPeriod, 1000)
+  );
+  assert.equal(
+    solution.cutFromFixed,
+    Math.max(0, solution.extraPerPeriod - 1000)
+  );
+  assert.equal(solution.cutFeasible, true);
+});
+
+test('solveForFreedomDate: el recorte no alcanza si pasa del gasto base', () => {
+  const solution = solveForFreedomDate(visaPlan(), '2026-03-15');
+
+  assert.equal(solution.status, 'solved');
+  assert.ok(solution.extraPerPeriod > 4000);
+  assert.equal(solution.cutFeasible, false);
+});
+
+test('solveForFreedomDate: MSI que vencen después de la fecha la hacen imposible', () => {
+  const solution = solveForFreedomDate(
+    visaPlan({
+      balance: 10000,
+      installments: [
+        { name: 'TV', total: 12000, months: 12, startDate: '2026-01-01' }
+      ]
+    }),
+    '2026-06-30'
+  );
+
+  assert.equal(solution.status, 'impossible');
+  assert.equal(solution.installmentsBlock, true);
+  assert.ok(solution.earliestFreedomDate > new Date(2026, 5, 30));
+});
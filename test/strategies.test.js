@@ -0,0 +1,68 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import {
+  compareStrategies,
+  normalizeState,
+  orderDebtsByStrategy,
+  simulate,
+  STRATEGIES
+} from '../src/engine.js';
+
+const threeCards = () =>
+  normalizeState({
+    startDate: '2026-01-15',
+    grossIncome: 9250,
+    discretionary: 300,
+    debts: [
+      { id: 1, name: 'Didi', balance: 11334.59, rate: 86.5, monthlyMin: 1671 },
+      { id: 2, name: 'Visa', balance: 40000, rate: 45, monthlyMin: 1200 },
+      { id: 3, name: 'Plata', balance: 3000, rate: 60, monthlyMin: 300 }
+    ]
+  });
+
+test('compareStrategies: una corrida por estrategia, en orden', () => {
+  const runs = compareStrategies(threeCards());
+
+  assert.deepEqual(
+    runs.map((r) => r.strategy),
+    STRATEGIES
+  );
+  assert.ok(runs.every((r) => r.result.freedomDate));
+});
+
+test('compareStrategies: avalancha no paga más intereses que bola de nieve inversa', () => {
+  const byStrategy = Object.fromEntries(
+    compareStrategies(threeCards()).map((r) => [r.strategy, r.result])
+  );
+
+  assert.ok(
+    byStrategy.avalanche.totalInterestPaid <=
+      byStrategy.reverseSnowball.totalInterestPaid
+  );
+  assert.deepEqual(
+    byStrategy.snowball.payoffOrder.map((p) => p.name),
+    ['Plata', 'Didi', 'Visa']
+  );
+});
+
+test('orderDebtsByStrategy: custom sigue el orden elegido y deja al final las que faltan', () => {
+  const { debts } = threeCards();
+
+  assert.deepEqual(
+    orderDebtsByStrategy(debts, 'custom', [2, '3']).map((d) => d.id),
+    [2, 3, 1]
+  );
+  assert.deepEqual(
+    debts.map((d) => d.id),
+    [1, 2, 3]
+  );
+});
+
+test('simulate: la estrategia custom ataca primero la deuda elegida', () => {
+  const state = { ...threeCards(), strategy: 'custom', customOrder: [2, 1, 3] };
+  const result = simulate(state);
+
+  assert.equal(result.currentTarget.id, 2);
+  assert.equal(result.periods[0].targetName, 'Visa');
+});
@@ -0,0 +1,77 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import {
+  createStressTest,
+  normalizeState,
+  runStressTest
+} from '../src/engine.js';
+
+const didi = () =>
+  normalizeState({
+    startDate: '2026-01-15',
+    grossIncome: 9250,
+    discretionary: 300,
+    debts: [
+      {
+        id: 1,
+        name: 'Didi',
+        balance: 11334.59,
+        rate: 86.5,
+        monthlyMin: 1671,
+        dueDay: 24
+      }
+    ]
+  });
+const shocks = {
+  runs: 30,
+  incomeVariability: 20,
+  shockProbability: 10,
+  shockAmount: 4000,
+  missedPayProbability: 5
+};
+
+test('runStressTest: la misma semilla da el mismo reporte', () => {
+  const a = runStressTest(didi(), { ...shocks, seed: 7 });
+  const b = runStressTest(didi(), { ...shocks, seed: 7 });
+  const c = runStressTest(didi(), { ...shocks, seed: 8 });
+
+  assert.ok(a.baseline.freedomDate);
+  assert.deepEqual(a, b);
+  assert.notDeepEqual(a, c);
+  assert.ok(a.freedomP10 <= a.freedomP50 && a.freedomP50 <= a.freedomP90);
+});
+
+test('runStressTest: sin choques todas las corridas son el plan base', () => {
+  const report = runStressTest(didi(), { runs: 5 });
+
+  assert.equal(report.runs, 5);
+  assert.equal(
+    report.freedomP50.getTime(),
+    report.baseline.freedomDate.getTime()
+  );
+  assert.equal(report.interestP50, report.baseline.totalInterestPaid);
+  assert.equal(report.missMinimumProbability, 0);
+  assert.equal(report.unfinishedRuns, 0);
+});
+
+test('runStressTest: las corridas sin terminar quedan fuera de los intereses', () => {
+  const report = runStressTest(didi(), { runs: 3, missedPayProbability: 100 });
+
+  assert.equal(report.unfinishedRuns, 3);
+  assert.equal(report.neverFreeProbability, 100);
+  assert.equal(report.freedomP50, null);
+  assert.equal(report.interestP50, null);
+  assert.equal(report.worstInterest, null);
+  assert.ok(report.unfinishedDebtP50 > 11334.59);
+  assert.equal(report.missMinimumProbability, 100);
+});
+
+test('createStressTest: corre por tandas', () => {
+  const stress = createStressTest(didi(), { ...shocks, runs: 5 });
+
+  assert.equal(stress.step(2), 2);
+  assert.equal(stress.step(2), 4);
+  assert.equal(stress.step(10), 5);
+  assert.equal(stress.report().runs, 5);
+});
@@ -0,0 +1,85 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { normalizeState, simulate } from '../src/engine.js';
+
+const withPolicy = (policy) =>
+  normalizeState({
+    startDate: '2026-01-15',
+    grossIncome: 5000,
+    debts: [
+      {
+        id: 1,
+        name: 'Visa',
+        balance: 30000,
+        rate: 60,
+        monthlyMin: 1000,
+        dueDay: 20
+      }
+    ],
+    goals: [
+      { id: 1, name: 'Fondo', targetAmount: 10000, priority: 1 },
+      {
+        id: 2,
+        name: 'Viaje',
+        targetAmount: 5000,
+        priority: 2,
+        fundBeforeDebt: true
+      }
+    ],
+    ...policy
+  });
+const firstPeriods = (policy) =>
+  simulate(withPolicy(policy), { maxPeriods: 4 }).periods;
+const savedIn = (row, name) =>
+  row.savingDetails
+    .filter((s) => s.name === name)
+    .reduce((sum, s) => sum + s.amount, 0);
+
+test("surplusPolicy 'debtFirst': nada a metas mientras haya deuda", () => {
+  const periods = firstPeriods({});
+
+  assert.ok(periods.every((p) => p.totalSaving === 0));
+  assert.ok(periods[0].totalStrategy > 0);
+});
+
+test("surplusPolicy 'goalsFirst': primero el fondo hasta surplusGoalFloor", () => {
+  const periods = firstPeriods({
+    surplusPolicy: 'goalsFirst',
+    surplusGoalFloor: 3000
+  });
+
+  assert.equal(periods[0].totalStrategy, 0);
+  assert.ok(
+    Math.abs(
+      savedIn(periods[0], 'Fondo') + savedIn(periods[1], 'Fondo') - 3000
+    ) < 0.01
+  );
+  assert.equal(periods[2].totalSaving, 0);
+});
+
+test("surplusPolicy 'split': el porcentaje del excedente va a metas", () => {
+  const [first] = firstPeriods({ surplusPolicy: 'split', surplusGoalPct: 25 });
+  const surplus = first.totalSaving + first.totalStrategy;
+
+  assert.ok(Math.abs(first.totalSaving - surplus * 0.25) < 0.01);
+  assert.ok(savedIn(first, 'Fondo') > 0);
+});
+
+test("surplusPolicy 'perGoal': sólo las metas marcadas antes de la deuda", () => {
+  const [first, second] = firstPeriods({ surplusPolicy: 'perGoal' });
+
+  assert.equal(savedIn(first, 'Fondo'), 0);
+  assert.ok(
+    Math.abs(savedIn(first, 'Viaje') + savedIn(second, 'Viaje') - 5000) < 0.01
+  );
+  assert.ok(second.totalStrategy > 0);
+});
+
+test('sin deuda todo el excedente va a metas, con cualquier política', () => {
+  const result = simulate(withPolicy({}));
+  const freedom = result.debtFreedomIndex;
+
+  assert.notEqual(freedom, null);
+  assert.ok(result.periods[freedom + 1].totalSaving > 0);
+});